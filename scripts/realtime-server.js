@@ -0,0 +1,135 @@
+/**
+ * Realtime Stand-in Server
+ * Local development replacement for the backend's live update channel
+ *
+ * - Proxies /api/* to the real backend and, when a write succeeds,
+ *   pushes the matching change event to every connected client.
+ * - GET  /events streams change events (Server-Sent Events).
+ * - POST /events broadcasts the JSON event in the body, for manual
+ *   testing without touching the backend.
+ *
+ * Usage:
+ *   BACKEND_URL=http://localhost:5000 npm run realtime
+ * then in .env.local:
+ *   VITE_API_PROXY_TARGET=http://localhost:5001
+ *   VITE_REALTIME_URL_LOCAL=http://localhost:5001/events
+ */
+
+import http from 'node:http';
+import { eventFromRequest } from '../src/services/realtimeEvents.js';
+
+const PORT = Number(process.env.REALTIME_PORT) || 5001;
+const BACKEND_URL = (process.env.BACKEND_URL || 'http://localhost:5000').replace(/\/$/, '');
+const KEEP_ALIVE_MS = 25000;
+
+const clients = new Set();
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+};
+
+/**
+ * Send an event to every connected client
+ */
+const broadcast = (event) => {
+  const message = `event: change\ndata: ${JSON.stringify(event)}\n\n`;
+  clients.forEach((res) => res.write(message));
+  console.log(`[realtime] ${event.type} -> ${clients.size} client(s)`);
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+const handleStream = (req, res) => {
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(': connected\n\n');
+  clients.add(res);
+
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), KEEP_ALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    clients.delete(res);
+  });
+};
+
+const handleInject = async (req, res) => {
+  try {
+    const event = JSON.parse((await readBody(req)).toString() || '{}');
+    if (!event.type) throw new Error('Event needs a type');
+    broadcast({ at: new Date().toISOString(), ...event });
+    res.writeHead(202, CORS_HEADERS).end();
+  } catch (err) {
+    res.writeHead(400, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, message: err.message }));
+  }
+};
+
+const handleProxy = async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const body = ['GET', 'HEAD'].includes(req.method) ? undefined : await readBody(req);
+  const headers = { ...req.headers };
+  delete headers.host;
+  delete headers['content-length'];
+
+  try {
+    const upstream = await fetch(`${BACKEND_URL}${url.pathname}${url.search}`, {
+      method: req.method,
+      headers,
+      body,
+    });
+    const text = await upstream.text();
+
+    res.writeHead(upstream.status, {
+      ...CORS_HEADERS,
+      'Content-Type': upstream.headers.get('content-type') || 'application/json',
+    });
+    res.end(text);
+
+    if (upstream.ok && req.method !== 'GET') {
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // Not JSON - the event just won't carry data
+      }
+      const event = eventFromRequest(req.method, url.pathname.replace(/^\/api/, ''), json);
+      if (event) broadcast(event);
+    }
+  } catch (err) {
+    console.error('[realtime] Backend request failed:', err.message);
+    res.writeHead(502, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, message: 'Backend unavailable' }));
+  }
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS).end();
+  } else if (pathname === '/events' && req.method === 'GET') {
+    handleStream(req, res);
+  } else if (pathname === '/events' && req.method === 'POST') {
+    handleInject(req, res);
+  } else if (pathname.startsWith('/api/')) {
+    handleProxy(req, res);
+  } else {
+    res.writeHead(404, CORS_HEADERS).end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[realtime] Listening on http://localhost:${PORT} (backend: ${BACKEND_URL})`);
+});
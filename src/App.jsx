@@ -6,8 +6,22 @@
 import { useState, useEffect } from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './components/Login';
+import Setup from './components/Setup';
+import ChangePassword from './components/ChangePassword';
 import NewDashboard from './components/NewDashboard';
+import ServerWakeBanner from './components/ServerWakeBanner';
+import ReauthModal from './components/ReauthModal';
+import IdleWarningModal from './components/IdleWarningModal';
+import ProtectedRoute from './components/ProtectedRoute';
+import PublicLayout from './components/PublicLayout';
+import PublicTeams from './components/PublicTeams';
+import PublicTeamRoster from './components/PublicTeamRoster';
+import PublicPlayerPool from './components/PublicPlayerPool';
 import { authAPI } from './services/api';
+import { clearQueryCache } from './services/queryCache';
+import { connectRealtime } from './services/realtime';
+import { clearSession, getToken, getUser, subscribeSession } from './services/session';
+import { getErrorKind } from './utils/apiErrors';
 
 function App() {
   const [user, setUser] = useState(null);
@@ -18,12 +32,48 @@ function App() {
     checkAuth();
   }, []);
 
+  // Drop back to the login page when the session is cleared (e.g. the
+  // user chose to sign out from the re-login prompt), and follow sign-ins
+  // and sign-outs made in other tabs
+  useEffect(() => subscribeSession((event) => {
+    if (!getToken()) {
+      // Nothing the signed-out user loaded may reach the next account
+      clearQueryCache();
+      setUser(null);
+    } else if (event?.remote && event.type === 'login') {
+      clearQueryCache();
+      setUser(getUser());
+    } else if (event?.remote) {
+      // e.g. the temporary password was changed in another tab
+      setUser((current) => {
+        const stored = getUser();
+        return current && stored?.must_change_password === current.must_change_password ? current : stored;
+      });
+    }
+  }), []);
+
+  // Receive changes made by other organizers while signed in
+  useEffect(() => {
+    if (!user) return undefined;
+    let disconnect = connectRealtime(getToken());
+    // The token is part of the stream URL, so reconnect with each refreshed one
+    const unsubscribe = subscribeSession((event) => {
+      if (event?.type !== 'refresh') return;
+      disconnect();
+      disconnect = connectRealtime(getToken());
+    });
+    return () => {
+      unsubscribe();
+      disconnect();
+    };
+  }, [user]);
+
   /**
    * Check authentication status
    */
   const checkAuth = async () => {
-    const token = localStorage.getItem('token');
-    const storedUser = localStorage.getItem('user');
+    const token = getToken();
+    const storedUser = getUser();
 
     if (!token || !storedUser) {
       setLoading(false);
@@ -37,9 +87,13 @@ function App() {
         setUser(response.data.user);
       }
     } catch (err) {
-      // Token is invalid, clear storage
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+      if (getErrorKind(err) === 'unauthorized') {
+        // Token is invalid and could not be refreshed, clear storage
+        clearSession();
+      } else {
+        // Server unreachable - keep the session and let requests retry
+        setUser(storedUser);
+      }
     } finally {
       setLoading(false);
     }
@@ -63,6 +117,7 @@ function App() {
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <ServerWakeBanner />
         <div className="text-center">
           <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
             <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
@@ -76,36 +131,138 @@ function App() {
 
   return (
     <BrowserRouter>
-      <Routes>
-        <Route
-          path="/login"
-          element={
-            user ? (
-              <Navigate to="/dashboard" replace />
-            ) : (
-              <Login onLogin={handleLogin} />
-            )
-          }
-        />
-        <Route
-          path="/dashboard"
-          element={
-            user ? (
-              <NewDashboard user={user} onLogout={handleLogout} />
-            ) : (
-              <Navigate to="/login" replace />
-            )
-          }
-        />
-        <Route
-          path="/"
-          element={<Navigate to={user ? "/dashboard" : "/login"} replace />}
-        />
-        <Route
-          path="*"
-          element={<Navigate to="/" replace />}
-        />
-      </Routes>
+      <ServerWakeBanner />
+      {user && <ReauthModal user={user} />}
+      {user && <IdleWarningModal user={user} />}
+      {user?.must_change_password ? (
+        <ChangePassword user={user} onPasswordChanged={setUser} />
+      ) : (
+        <Routes>
+          <Route
+            path="/login"
+            element={
+              user ? (
+                <Navigate to="/players" replace />
+              ) : (
+                <Login onLogin={handleLogin} />
+              )
+            }
+          />
+          <Route
+            path="/setup"
+            element={
+              user ? (
+                <Navigate to="/players" replace />
+              ) : (
+                <Setup onLogin={handleLogin} />
+              )
+            }
+          />
+          <Route
+            path="/players"
+            element={
+              <ProtectedRoute user={user}>
+                <NewDashboard user={user} onLogout={handleLogout} view="players" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/players/:playerId"
+            element={
+              <ProtectedRoute user={user}>
+                <NewDashboard user={user} onLogout={handleLogout} view="player" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/teams"
+            element={
+              <ProtectedRoute user={user}>
+                <NewDashboard user={user} onLogout={handleLogout} view="teams" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/teams/:teamId"
+            element={
+              <ProtectedRoute user={user}>
+                <NewDashboard user={user} onLogout={handleLogout} view="teams" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/global-players"
+            element={
+              <ProtectedRoute user={user}>
+                <NewDashboard user={user} onLogout={handleLogout} view="global-players" />
+              </ProtectedRoute>
+            }
+          />
+          {/* Old bookmarks */}
+          <Route path="/dashboard" element={<Navigate to="/players" replace />} />
+          <Route
+            path="/activity"
+            element={
+              <ProtectedRoute user={user} permission="activity:view">
+                <NewDashboard user={user} onLogout={handleLogout} view="activity" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/trash"
+            element={
+              <ProtectedRoute user={user} permission="trash:manage">
+                <NewDashboard user={user} onLogout={handleLogout} view="trash" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/users"
+            element={
+              <ProtectedRoute user={user} permission="users:manage">
+                <NewDashboard user={user} onLogout={handleLogout} view="users" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/roles"
+            element={
+              <ProtectedRoute user={user} permission="roles:migrate">
+                <NewDashboard user={user} onLogout={handleLogout} view="roles" />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/duplicates"
+            element={
+              <ProtectedRoute user={user} permission="players:merge">
+                <NewDashboard user={user} onLogout={handleLogout} view="duplicates" />
+              </ProtectedRoute>
+            }
+          />
+          {/* Public league pages - no sign in needed */}
+          <Route
+            path="/league"
+            element={<PublicLayout user={user}><PublicTeams /></PublicLayout>}
+          />
+          <Route
+            path="/league/teams/:teamId"
+            element={<PublicLayout user={user}><PublicTeamRoster /></PublicLayout>}
+          />
+          <Route
+            path="/league/players"
+            element={<PublicLayout user={user}><PublicPlayerPool /></PublicLayout>}
+          />
+          <Route
+            path="/"
+            element={<Navigate to={user ? "/players" : "/login"} replace />}
+          />
+          <Route
+            path="*"
+            element={<Navigate to="/" replace />}
+          />
+        </Routes>
+      )}
     </BrowserRouter>
   );
 }
@@ -0,0 +1,245 @@
+/**
+ * ActivityFeed Component
+ * Audit log of every change to teams and players, filterable by
+ * user, team and player (admins only)
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getErrorMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { queryKeys, fetchAuditPage, fetchTeams } from '../services/queries';
+import Pagination from './Pagination';
+
+const ACTION_STYLES = {
+  create: { label: 'created', className: 'bg-green-100 text-green-800' },
+  update: { label: 'updated', className: 'bg-blue-100 text-blue-800' },
+  delete: { label: 'deleted', className: 'bg-red-100 text-red-800' },
+  assign: { label: 'assigned', className: 'bg-primary-100 text-primary-800' },
+  unassign: { label: 'unassigned', className: 'bg-yellow-100 text-yellow-800' },
+  restore: { label: 'restored', className: 'bg-green-100 text-green-800' },
+  purge: { label: 'permanently deleted', className: 'bg-red-200 text-red-900' },
+};
+
+const FIELD_LABELS = {
+  player: {
+    player_name: 'Name',
+    position: 'Position',
+    jersey_number: 'Jersey',
+    team_name: 'Team',
+    date_of_birth: 'Date of birth',
+    batting_hand: 'Batting',
+    bowling_style: 'Bowling',
+    locality: 'Locality',
+  },
+  team: {
+    team_name: 'Name',
+    team_logo: 'Logo',
+    team_color: 'Color',
+    description: 'Description',
+  },
+};
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+/**
+ * List the fields that differ between the before and after values
+ * @returns {Array} [{ label, from, to }]
+ */
+const getChanges = (entry) => {
+  if (!entry.before || !entry.after) return [];
+  return Object.entries(FIELD_LABELS[entry.entity])
+    .filter(([field]) => formatValue(entry.before[field]) !== formatValue(entry.after[field]))
+    .map(([field, label]) => ({
+      label,
+      from: formatValue(entry.before[field]),
+      to: formatValue(entry.after[field]),
+    }));
+};
+
+function ActivityEntry({ entry }) {
+  const style = ACTION_STYLES[entry.action];
+  const changes = getChanges(entry);
+
+  return (
+    <li className="px-6 py-4 hover:bg-gray-50 transition-colors">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1">
+        <p className="text-sm text-gray-900">
+          <span className="font-semibold">{entry.actor.username}</span>{' '}
+          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${style.className}`}>
+            {style.label}
+          </span>{' '}
+          {entry.entity}{' '}
+          {entry.entity === 'player' && entry.entity_id !== null ? (
+            <Link to={`/players/${entry.entity_id}`} className="font-medium hover:text-primary-600 hover:underline">
+              {entry.entity_name || `#${entry.entity_id}`}
+            </Link>
+          ) : (
+            <span className="font-medium">{entry.entity_name || `#${entry.entity_id}`}</span>
+          )}
+          {entry.action === 'assign' && (
+            <span className="text-gray-600"> to {entry.after?.team_name || 'a team'}</span>
+          )}
+          {entry.action === 'unassign' && entry.before?.team_name && (
+            <span className="text-gray-600"> from {entry.before.team_name}</span>
+          )}
+        </p>
+        <time className="text-xs text-gray-500 whitespace-nowrap" dateTime={entry.at}>
+          {entry.at ? new Date(entry.at).toLocaleString() : ''}
+        </time>
+      </div>
+
+      {entry.action === 'update' && changes.length > 0 && (
+        <ul className="mt-2 space-y-1 text-xs text-gray-600">
+          {changes.map((change) => (
+            <li key={change.label}>
+              <span className="font-medium">{change.label}:</span>{' '}
+              <span className="line-through text-gray-400">{change.from}</span>
+              {' → '}
+              <span className="text-gray-900">{change.to}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function ActivityFeed({ onError }) {
+  const [actor, setActor] = useState('');
+  const [teamId, setTeamId] = useState('');
+  const [player, setPlayer] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pageSize, setPageSize] = useState(25);
+
+  const debouncedActor = useDebouncedValue(actor.trim(), 300);
+  const debouncedPlayer = useDebouncedValue(player.trim(), 300);
+  const params = {
+    page: currentPage,
+    pageSize,
+    actor: debouncedActor,
+    teamId,
+    player: debouncedPlayer,
+  };
+
+  const { data: teams = [] } = useQuery(queryKeys.teams, fetchTeams);
+  const {
+    data: auditPage,
+    error: loadError,
+    isLoading: loading,
+  } = useQuery(
+    queryKeys.auditPage(params),
+    (options) => fetchAuditPage(params, options),
+    { keepPreviousData: true }
+  );
+  const entries = auditPage?.entries || [];
+  const total = auditPage?.total || 0;
+  const hasFilters = Boolean(actor || teamId || player);
+
+  // Report load failures
+  useEffect(() => {
+    if (loadError && onError) onError(getErrorMessage(loadError, 'Failed to load activity'));
+  }, [loadError]);
+
+  // Any filter change starts again from the newest entries
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [debouncedActor, teamId, debouncedPlayer]);
+
+  const handleClearFilters = () => {
+    setActor('');
+    setTeamId('');
+    setPlayer('');
+  };
+
+  const handlePageSizeChange = (newPageSize) => {
+    setPageSize(newPageSize);
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="mb-6">
+        <h2 className="text-3xl font-bold text-gray-900">Activity</h2>
+        <p className="mt-1 text-sm text-gray-600">
+          Every change to teams and players, newest first
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="mb-6 grid grid-cols-1 sm:grid-cols-4 gap-3">
+        <input
+          type="text"
+          placeholder="Filter by user..."
+          value={actor}
+          onChange={(e) => setActor(e.target.value)}
+          className="block w-full px-4 py-2 border border-gray-300 rounded-lg bg-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+        />
+        <select
+          value={teamId}
+          onChange={(e) => setTeamId(e.target.value)}
+          className="block w-full px-4 py-2 border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+        >
+          <option value="">All teams</option>
+          {teams.map((team) => (
+            <option key={team.id} value={team.id}>
+              {team.team_logo} {team.team_name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Filter by player..."
+          value={player}
+          onChange={(e) => setPlayer(e.target.value)}
+          className="block w-full px-4 py-2 border border-gray-300 rounded-lg bg-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+        />
+        <button
+          onClick={handleClearFilters}
+          disabled={!hasFilters}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+        >
+          Clear filters
+        </button>
+      </div>
+
+      {/* Entries */}
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12">
+            <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <p className="mt-4 text-gray-600">Loading activity...</p>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-12">
+            <h3 className="text-sm font-medium text-gray-900">No activity found</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              {hasFilters ? 'Try different filters.' : 'Changes to teams and players will show up here.'}
+            </p>
+          </div>
+        ) : (
+          <>
+            <ul className="divide-y divide-gray-200">
+              {entries.map((entry) => (
+                <ActivityEntry key={entry.id} entry={entry} />
+              ))}
+            </ul>
+            <Pagination
+              currentPage={currentPage}
+              totalItems={total}
+              pageSize={pageSize}
+              onPageChange={setCurrentPage}
+              onPageSizeChange={handlePageSizeChange}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ActivityFeed;
@@ -0,0 +1,52 @@
+/**
+ * BackendSwitcher Component
+ * Lets admins point the app at a different backend profile
+ */
+
+import {
+  API_PROFILES,
+  getActiveProfileName,
+  isProfileAvailable,
+  setActiveProfile,
+} from '../services/config';
+
+function BackendSwitcher() {
+  const activeProfile = getActiveProfileName();
+
+  const handleChange = (e) => {
+    const name = e.target.value;
+    if (name === activeProfile) return;
+
+    if (!window.confirm(`Switch to the ${API_PROFILES[name].label} backend? You will need to sign in again.`)) {
+      e.target.value = activeProfile;
+      return;
+    }
+
+    setActiveProfile(name);
+    // Reload so the API client is rebuilt with the new profile
+    window.location.href = '/login';
+  };
+
+  return (
+    <div className="flex items-center">
+      <label htmlFor="backendProfile" className="sr-only">
+        Backend
+      </label>
+      <select
+        id="backendProfile"
+        value={activeProfile}
+        onChange={handleChange}
+        className="text-xs sm:text-sm rounded-lg border-2 border-white bg-white bg-opacity-20 text-white font-medium px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-white"
+        title="Backend profile"
+      >
+        {Object.entries(API_PROFILES).map(([name, profile]) => (
+          <option key={name} value={name} disabled={!isProfileAvailable(name)} className="text-gray-900">
+            {profile.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default BackendSwitcher;
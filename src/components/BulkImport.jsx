@@ -1,41 +1,88 @@
 /**
  * BulkImport Component
  * Allows importing multiple players at once
+ *
+ * Rows that look like an existing player, or like another row in the
+ * same paste, are held back for review before anything is imported.
  */
 
 import { useState } from 'react';
 import { bulkImportPlayers, parsePlayerText } from '../utils/bulkImport';
+import { findImportDuplicates } from '../utils/duplicates';
+import { fetchDuplicateMatches } from '../services/queries';
+import { getErrorMessage } from '../utils/apiErrors';
+import { ROLE_NAMES } from '../utils/playerRoles';
 
 function BulkImport({ onClose, onSuccess }) {
   const [playerText, setPlayerText] = useState('');
   const [importing, setImporting] = useState(false);
   const [progress, setProgress] = useState(null);
+  const [failedCount, setFailedCount] = useState(0);
   const [results, setResults] = useState(null);
+  const [checking, setChecking] = useState(false);
+  // Rows held back as possible duplicates: { rows, matches, included }
+  const [review, setReview] = useState(null);
+  const [skipped, setSkipped] = useState([]);
 
   const handleImport = async () => {
     if (!playerText.trim()) return;
 
-    setImporting(true);
-    setResults(null);
+    const players = parsePlayerText(playerText);
+    if (players.length === 0) {
+      alert('No valid player data found');
+      return;
+    }
 
+    setChecking(true);
     try {
-      const players = parsePlayerText(playerText);
-      
-      if (players.length === 0) {
-        alert('No valid player data found');
-        setImporting(false);
+      const matches = findImportDuplicates(players, await fetchDuplicateMatches(players.map((row) => row.name)));
+      if (matches.some((match) => match.players.length > 0 || match.earlierRows.length > 0)) {
+        setReview({ rows: players, matches, included: {} });
         return;
       }
+    } catch (error) {
+      alert(`Could not check for duplicates: ${getErrorMessage(error, error.message)}`);
+      return;
+    } finally {
+      setChecking(false);
+    }
 
+    runImport(players, []);
+  };
+
+  /**
+   * Import the rows kept after the duplicate review
+   */
+  const handleConfirmReview = () => {
+    const isDuplicate = (match) => match.players.length > 0 || match.earlierRows.length > 0;
+    const keep = review.rows.filter((_, index) => !isDuplicate(review.matches[index]) || review.included[index]);
+    const skip = review.rows.filter((_, index) => isDuplicate(review.matches[index]) && !review.included[index]);
+    setReview(null);
+    runImport(keep, skip.map((row) => row.name));
+  };
+
+  const runImport = async (players, skippedNames) => {
+    setSkipped(skippedNames);
+    if (players.length === 0) {
+      setResults({ success: [], failed: [], created: [], total: 0 });
+      return;
+    }
+
+    setImporting(true);
+    setResults(null);
+    setFailedCount(0);
+
+    try {
       const importResults = await bulkImportPlayers(players, (progressInfo) => {
         setProgress(progressInfo);
+        if (!progressInfo.success) setFailedCount((count) => count + 1);
       });
 
       setResults(importResults);
       
       if (importResults.success.length > 0) {
         if (onSuccess) {
-          onSuccess(`Successfully imported ${importResults.success.length} player(s)!`);
+          onSuccess(`Successfully imported ${importResults.success.length} player(s)!`, importResults.created);
         }
       }
     } catch (error) {
@@ -89,7 +136,67 @@ Gagan bowler`;
             </button>
           </div>
 
-          {!results ? (
+          {review ? (
+            <>
+              {/* Possible duplicates */}
+              <div className="mb-4 bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded">
+                <p className="text-sm text-yellow-800">
+                  <strong>Possible duplicates.</strong> These rows look like players who are already registered,
+                  or like another row in this list. They are skipped unless you tick them.
+                </p>
+              </div>
+
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-80 overflow-y-auto">
+                {review.rows.map((row, index) => {
+                  const match = review.matches[index];
+                  if (match.players.length === 0 && match.earlierRows.length === 0) return null;
+                  return (
+                    <li key={index} className="px-4 py-3 flex items-start gap-3">
+                      <input
+                        id={`importRow${index}`}
+                        type="checkbox"
+                        checked={Boolean(review.included[index])}
+                        onChange={(e) => setReview((current) => ({
+                          ...current,
+                          included: { ...current.included, [index]: e.target.checked },
+                        }))}
+                        className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                      />
+                      <label htmlFor={`importRow${index}`} className="text-sm">
+                        <span className="font-medium text-gray-900">Row {index + 1}: {row.name}</span>
+                        {match.players.map((player) => (
+                          <span key={player.id} className="block text-gray-600">
+                            looks like {player.player_name} ({player.team_name || 'Global pool'}
+                            {player.jersey_number !== null && `, #${player.jersey_number}`})
+                          </span>
+                        ))}
+                        {match.earlierRows.length > 0 && (
+                          <span className="block text-gray-600">
+                            looks like row {match.earlierRows.join(', ')} of this list
+                          </span>
+                        )}
+                      </label>
+                    </li>
+                  );
+                })}
+              </ul>
+
+              <div className="flex space-x-3 mt-6">
+                <button
+                  onClick={handleConfirmReview}
+                  className="flex-1 py-3 px-6 bg-primary-600 text-white rounded-lg hover:bg-primary-700 font-medium transition-all duration-200"
+                >
+                  Continue Import
+                </button>
+                <button
+                  onClick={() => setReview(null)}
+                  className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium transition-all duration-200"
+                >
+                  Back
+                </button>
+              </div>
+            </>
+          ) : !results ? (
             <>
               {/* Instructions */}
               <div className="mb-4 bg-blue-50 border-l-4 border-blue-500 p-4 rounded">
@@ -97,6 +204,8 @@ Gagan bowler`;
                   <strong>Instructions:</strong> Enter player names, one per line. Add position after the name if specified.
                   <br />
                   Format: <code className="bg-blue-100 px-1 rounded">Name position</code> or just <code className="bg-blue-100 px-1 rounded">Name</code>
+                  <br />
+                  Roles: {ROLE_NAMES.join(', ')}. Short forms such as <code className="bg-blue-100 px-1 rounded">wk</code> or <code className="bg-blue-100 px-1 rounded">batter</code> work too.
                 </p>
               </div>
 
@@ -122,7 +231,12 @@ Gagan bowler`;
               {importing && progress && (
                 <div className="mt-4">
                   <div className="flex justify-between text-sm text-gray-600 mb-2">
-                    <span>Importing: {progress.player}</span>
+                    <span>
+                      {progress.success ? '✓' : '✗'} {progress.player}
+                      {failedCount > 0 && (
+                        <span className="ml-2 text-red-600">({failedCount} failed)</span>
+                      )}
+                    </span>
                     <span>{progress.current} of {progress.total}</span>
                   </div>
                   <div className="w-full bg-gray-200 rounded-full h-3">
@@ -138,7 +252,7 @@ Gagan bowler`;
               <div className="flex space-x-3 mt-6">
                 <button
                   onClick={handleImport}
-                  disabled={importing || !playerText.trim()}
+                  disabled={importing || checking || !playerText.trim()}
                   className="flex-1 py-3 px-6 bg-primary-600 text-white rounded-lg hover:bg-primary-700 font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
                 >
                   {importing ? (
@@ -149,6 +263,8 @@ Gagan bowler`;
                       </svg>
                       Importing...
                     </>
+                  ) : checking ? (
+                    'Checking for duplicates...'
                   ) : (
                     'Import Players'
                   )}
@@ -204,6 +320,20 @@ Gagan bowler`;
                   </div>
                 )}
 
+                {/* Skipped */}
+                {skipped.length > 0 && (
+                  <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded">
+                    <h4 className="text-yellow-800 font-semibold mb-2">
+                      Skipped {skipped.length} possible duplicate(s)
+                    </h4>
+                    <ul className="text-sm text-yellow-800 ml-1 space-y-1">
+                      {skipped.map((name, idx) => (
+                        <li key={idx}>– {name}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 {/* Close Button */}
                 <button
                   onClick={handleClose}
@@ -0,0 +1,140 @@
+/**
+ * ChangePassword Component
+ * Shown instead of the app until a user replaces the temporary password
+ * an admin gave them
+ */
+
+import { useState } from 'react';
+import { authAPI } from '../services/api';
+import { signOut } from '../services/auth';
+import { setSession } from '../services/session';
+import { getErrorMessage } from '../utils/apiErrors';
+import { MIN_PASSWORD_LENGTH, validatePassword } from '../utils/passwords';
+
+const inputClass = 'appearance-none relative block w-full px-3 py-3 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition';
+
+function ChangePassword({ user, onPasswordChanged }) {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const problem = validatePassword(newPassword, user.username);
+    if (problem || newPassword !== confirmPassword) {
+      setError(problem || 'The new passwords do not match');
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authAPI.changePassword(currentPassword, newPassword);
+      if (response.data.success) {
+        setSession({ user: response.data.user });
+        onPasswordChanged(response.data.user);
+      }
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to change the password'));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-500 to-primary-700 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 bg-white p-10 rounded-xl shadow-2xl animate-fadeIn">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Choose a new password
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Welcome, <span className="font-medium">{user.username}</span>. Replace the temporary
+            password you were given before you continue.
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded animate-fadeIn">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Temporary password
+              </label>
+              <input
+                id="currentPassword"
+                type="password"
+                autoComplete="current-password"
+                required
+                className={inputClass}
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                New password <span className="text-gray-500 text-xs">(at least {MIN_PASSWORD_LENGTH} characters)</span>
+              </label>
+              <input
+                id="newPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                className={inputClass}
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="confirmNewPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Confirm new password
+              </label>
+              <input
+                id="confirmNewPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                className={inputClass}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {loading ? 'Saving...' : 'Change password'}
+            </button>
+            <button
+              type="button"
+              onClick={signOut}
+              disabled={loading}
+              className="w-full text-sm text-gray-600 hover:text-gray-900 font-medium disabled:opacity-50"
+            >
+              Sign out
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ChangePassword;
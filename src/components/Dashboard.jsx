@@ -1,54 +1,120 @@
 /**
  * Dashboard Component
  * Main dashboard for managing players
+ *
+ * The search, sort, page and page size live in the URL (?q=&sort=&page=&pageSize=).
  */
 
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect } from 'react';
 import { playersAPI } from '../services/api';
+import { getErrorMessage, getRollbackMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useListParams from '../hooks/useListParams';
+import { queryKeys, fetchPlayers, fetchPlayerPage, fetchTeams, invalidatePlayerQueries } from '../services/queries';
+import { updatePlayer, deletePlayer } from '../services/mutations';
+import { undoAction, getTrashId, restorePlayer, removeImportedPlayers, UNDO_WINDOW } from '../services/undo';
+import UndoButton from './UndoButton';
 import Navbar from './Navbar';
 import PlayerList from './PlayerList';
 import PlayerForm from './PlayerForm';
 import BulkImport from './BulkImport';
 import Pagination from './Pagination';
 import { exportPlayersToPDF } from '../utils/pdfExport';
+import { DEFAULT_PAGE_SIZE, PAGE_SIZE_OPTIONS, isValidPlayerSort } from '../utils/playerSearch';
+import { can, getManagedTeams, isReadOnly } from '../utils/permissions';
 
 function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCallback, onError: onErrorCallback }) {
-  const [players, setPlayers] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [formLoading, setFormLoading] = useState(false);
   const [showForm, setShowForm] = useState(false);
   const [showBulkImport, setShowBulkImport] = useState(false);
   const [editingPlayer, setEditingPlayer] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
-  
-  // Pagination state
-  const [currentPage, setCurrentPage] = useState(1);
-  const [pageSize, setPageSize] = useState(10);
+  const [successAction, setSuccessAction] = useState(null);
+
+  // Search and pagination state, kept in the URL
+  const {
+    q: debouncedQuery,
+    page: currentPage,
+    pageSize,
+    sort,
+    setListParams,
+  } = useListParams({
+    pageSizeOptions: PAGE_SIZE_OPTIONS,
+    defaultPageSize: DEFAULT_PAGE_SIZE,
+    isValidSort: isValidPlayerSort,
+  });
+  const [searchQuery, setSearchQuery] = useState(debouncedQuery);
+  const typedQuery = useDebouncedValue(searchQuery.trim(), 300);
+  const pageParams = { page: currentPage, pageSize, sort, q: debouncedQuery };
+
+  // Search on the server once the user pauses typing; replacing the URL
+  // keeps every keystroke out of the browser history
+  useEffect(() => {
+    if (typedQuery !== debouncedQuery) setListParams({ q: typedQuery, page: 1 }, { replace: true });
+  }, [typedQuery]);
 
-  // Load players on component mount
+  // Follow the URL when it changes under the input, e.g. with the back button
+  useEffect(() => {
+    if (debouncedQuery !== searchQuery.trim()) setSearchQuery(debouncedQuery);
+  }, [debouncedQuery]);
+
+  const {
+    data: playerPage,
+    error: loadError,
+    isLoading: loading,
+    isFetching,
+    isPreviousData,
+  } = useQuery(
+    queryKeys.playerPage(pageParams),
+    (options) => fetchPlayerPage(pageParams, options),
+    { keepPreviousData: true }
+  );
+  const players = playerPage?.players || [];
+  const totalPlayers = playerPage?.total || 0;
+
+  // Viewers get a read-only list; owners only change players in their teams
+  const readOnly = isReadOnly(user);
+  const { data: teams = [] } = useQuery(queryKeys.teams, fetchTeams, { enabled: !readOnly });
+  const formTeams = getManagedTeams(user, teams);
+  const allowNoTeam = editingPlayer
+    ? can(user, 'player:update', editingPlayer, { team_id: null })
+    : can(user, 'player:create', { team_id: null });
+
+  // Step back when the current page empties (e.g. its last player was deleted)
   useEffect(() => {
-    loadPlayers();
-  }, []);
+    const lastPage = Math.max(1, Math.ceil(totalPlayers / pageSize));
+    if (playerPage && !isPreviousData && currentPage > lastPage) {
+      setListParams({ page: lastPage }, { replace: true });
+    }
+  }, [playerPage, isPreviousData, totalPlayers, pageSize, currentPage]);
 
-  // Auto-hide messages after 3 seconds (only if not using parent callbacks)
+  // Report load failures
+  useEffect(() => {
+    if (loadError) showError(getErrorMessage(loadError, 'Failed to load players'));
+  }, [loadError]);
+
+  // Auto-hide messages after 3 seconds, or once the undo window closes
+  // (only if not using parent callbacks)
   useEffect(() => {
     if (!onSuccessCallback && !onErrorCallback && (error || successMessage)) {
       const timer = setTimeout(() => {
         setError('');
         setSuccessMessage('');
-      }, 3000);
+        setSuccessAction(null);
+      }, successAction ? UNDO_WINDOW : 3000);
       return () => clearTimeout(timer);
     }
-  }, [error, successMessage, onSuccessCallback, onErrorCallback]);
+  }, [error, successMessage, successAction, onSuccessCallback, onErrorCallback]);
 
-  // Helper to show success message
-  const showSuccess = (message) => {
+  // Helper to show success message, optionally with an Undo action
+  const showSuccess = (message, action = null) => {
     if (onSuccessCallback) {
-      onSuccessCallback(message);
+      onSuccessCallback(message, action);
     } else {
       setSuccessMessage(message);
+      setSuccessAction(action);
     }
   };
 
@@ -58,22 +124,7 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
       onErrorCallback(message);
     } else {
       setError(message);
-    }
-  };
-
-  /**
-   * Load all players from API
-   */
-  const loadPlayers = async () => {
-    try {
-      setLoading(true);
-      const response = await playersAPI.getAll();
-      setPlayers(response.data.data);
-    } catch (err) {
-      showError('Failed to load players');
-      console.error('Load players error:', err);
-    } finally {
-      setLoading(false);
+      setSuccessAction(null);
     }
   };
 
@@ -81,26 +132,39 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
    * Handle form submission (add or update player)
    */
   const handleFormSubmit = async (playerData) => {
-    try {
-      setFormLoading(true);
-      if (!onErrorCallback) setError('');
+    if (!onErrorCallback) setError('');
 
-      if (editingPlayer) {
-        // Update existing player
-        await playersAPI.update(editingPlayer.id, playerData);
+    if (editingPlayer) {
+      // Update existing player - the lists show it right away, and the form
+      // stays open with what was typed until the server accepts it
+      const player = editingPlayer;
+      setFormLoading(true);
+      try {
+        await updatePlayer(player, playerData);
         showSuccess('Player updated successfully!');
-      } else {
-        // Create new player
-        await playersAPI.create(playerData);
-        showSuccess('Player added successfully!');
+        setShowForm(false);
+        setEditingPlayer(null);
+      } catch (err) {
+        showError(getErrorMessage(err, `Failed to update ${player.player_name}.`));
+        console.error('Update player error:', err);
+      } finally {
+        setFormLoading(false);
       }
+      return;
+    }
+
+    try {
+      setFormLoading(true);
+
+      // Create new player
+      await playersAPI.create(playerData);
+      showSuccess('Player added successfully!');
 
-      // Reload players and close form
-      await loadPlayers();
+      // Refresh every view showing this player and close form
+      invalidatePlayerQueries(playerData.team_id);
       setShowForm(false);
-      setEditingPlayer(null);
     } catch (err) {
-      showError(err.response?.data?.message || 'Failed to save player');
+      showError(getErrorMessage(err, 'Failed to save player'));
       console.error('Save player error:', err);
     } finally {
       setFormLoading(false);
@@ -126,11 +190,13 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
 
     try {
       if (!onErrorCallback) setError('');
-      await playersAPI.delete(player.id);
-      showSuccess('Player deleted successfully!');
-      await loadPlayers();
+      const trashId = getTrashId(await deletePlayer(player));
+      showSuccess(
+        trashId !== null ? 'Player moved to trash.' : 'Player deleted successfully!',
+        undoAction(() => restorePlayer(player, trashId), `${player.player_name} restored.`)
+      );
     } catch (err) {
-      showError(err.response?.data?.message || 'Failed to delete player');
+      showError(getRollbackMessage(err, `Failed to delete ${player.player_name}.`));
       console.error('Delete player error:', err);
     }
   };
@@ -139,41 +205,29 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
    * Handle search
    */
   const handleSearch = (e) => {
-    const query = e.target.value;
-    setSearchQuery(query);
-    setCurrentPage(1); // Reset to first page when searching
+    setSearchQuery(e.target.value);
   };
 
   /**
-   * Filter players based on search query
+   * Handle clear search
    */
-  const filteredPlayers = useMemo(() => {
-    if (!searchQuery.trim()) {
-      return players;
-    }
-
-    const query = searchQuery.toLowerCase();
-    return players.filter(player => 
-      player.player_name?.toLowerCase().includes(query) ||
-      player.team_name?.toLowerCase().includes(query) ||
-      player.position?.toLowerCase().includes(query)
-    );
-  }, [players, searchQuery]);
+  const handleClearSearch = () => {
+    setSearchQuery('');
+    setListParams({ q: '', page: 1 });
+  };
 
   /**
-   * Get paginated players
+   * Handle sort change from the column headers
    */
-  const paginatedPlayers = useMemo(() => {
-    const startIndex = (currentPage - 1) * pageSize;
-    const endIndex = startIndex + pageSize;
-    return filteredPlayers.slice(startIndex, endIndex);
-  }, [filteredPlayers, currentPage, pageSize]);
+  const handleSortChange = (newSort) => {
+    setListParams({ sort: newSort, page: 1 });
+  };
 
   /**
    * Handle page change
    */
   const handlePageChange = (page) => {
-    setCurrentPage(page);
+    setListParams({ page });
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
@@ -181,8 +235,7 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
    * Handle page size change
    */
   const handlePageSizeChange = (newPageSize) => {
-    setPageSize(newPageSize);
-    setCurrentPage(1); // Reset to first page
+    setListParams({ pageSize: newPageSize, page: 1 }); // Reset to first page
   };
 
   /**
@@ -206,23 +259,36 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
   /**
    * Handle export to PDF
    */
-  const handleExportPDF = () => {
-    const exportData = searchQuery ? filteredPlayers : players;
-    if (exportData.length === 0) {
-      showError('No players to export');
-      return;
+  const handleExportPDF = async () => {
+    try {
+      // Export every matching player, not just the page on screen
+      const exportData = await fetchPlayers({ sort, q: debouncedQuery });
+      if (exportData.length === 0) {
+        showError('No players to export');
+        return;
+      }
+      const title = debouncedQuery ? `KPL Players - Search Results (${debouncedQuery})` : 'KPL Players List';
+      exportPlayersToPDF(exportData, title, {
+        canViewContact: (player) => can(user, 'player:contact', player),
+      });
+      showSuccess(`${exportData.length} player(s) exported to PDF successfully!`);
+    } catch (err) {
+      showError(getErrorMessage(err, 'Failed to export players'));
+      console.error('Export players error:', err);
     }
-    const title = searchQuery ? `KPL Players - Search Results (${searchQuery})` : 'KPL Players List';
-    exportPlayersToPDF(exportData, title);
-    showSuccess(`${exportData.length} player(s) exported to PDF successfully!`);
   };
 
   /**
    * Handle bulk import completion
    */
-  const handleBulkImportSuccess = async (message) => {
-    showSuccess(message);
-    await loadPlayers();
+  const handleBulkImportSuccess = (message, created = []) => {
+    showSuccess(
+      message,
+      created.length > 0
+        ? undoAction(() => removeImportedPlayers(created), `Import undone: ${created.length} player(s) removed.`)
+        : null
+    );
+    invalidatePlayerQueries();
     setShowBulkImport(false);
   };
 
@@ -243,7 +309,7 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
             <div className="flex flex-wrap gap-2 mt-4 sm:mt-0">
               <button
                 onClick={handleExportPDF}
-                disabled={players.length === 0}
+                disabled={totalPlayers === 0}
                 className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
                 title="Export to PDF"
               >
@@ -252,25 +318,29 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
                 </svg>
                 Export PDF
               </button>
-              <button
-                onClick={() => setShowBulkImport(true)}
-                className="inline-flex items-center px-4 py-2 border border-green-300 rounded-lg shadow-sm text-sm font-medium text-green-700 bg-green-50 hover:bg-green-100 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-all duration-200"
-                title="Bulk Import"
-              >
-                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                </svg>
-                Bulk Import
-              </button>
-              <button
-                onClick={handleAddNew}
-                className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
-              >
-                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                </svg>
-                Add New Player
-              </button>
+              {can(user, 'player:import') && (
+                <button
+                  onClick={() => setShowBulkImport(true)}
+                  className="inline-flex items-center px-4 py-2 border border-green-300 rounded-lg shadow-sm text-sm font-medium text-green-700 bg-green-50 hover:bg-green-100 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-all duration-200"
+                  title="Bulk Import"
+                >
+                  <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                  </svg>
+                  Bulk Import
+                </button>
+              )}
+              {!readOnly && (
+                <button
+                  onClick={handleAddNew}
+                  className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+                >
+                  <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                  </svg>
+                  Add New Player
+                </button>
+              )}
             </div>
           </div>
 
@@ -282,8 +352,11 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
           )}
 
           {!onSuccessCallback && successMessage && (
-            <div className="mb-4 bg-green-50 border-l-4 border-green-500 p-4 rounded animate-fadeIn">
+            <div className="mb-4 bg-green-50 border-l-4 border-green-500 p-4 rounded animate-fadeIn flex items-center justify-between">
               <p className="text-sm text-green-700">{successMessage}</p>
+              {successAction && (
+                <UndoButton action={successAction} onDone={showSuccess} onError={showError} />
+              )}
             </div>
           )}
 
@@ -305,7 +378,7 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
                 />
                 {searchQuery && (
                   <button
-                    onClick={() => setSearchQuery('')}
+                    onClick={handleClearSearch}
                     className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-400 hover:text-gray-600"
                     title="Clear search"
                   >
@@ -317,7 +390,9 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
               </div>
               {searchQuery && (
                 <div className="text-sm text-gray-600 whitespace-nowrap">
-                  {filteredPlayers.length} result{filteredPlayers.length !== 1 ? 's' : ''}
+                  {isFetching || searchQuery.trim() !== debouncedQuery
+                    ? 'Searching...'
+                    : `${totalPlayers} result${totalPlayers !== 1 ? 's' : ''}`}
                 </div>
               )}
             </div>
@@ -331,6 +406,8 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
               </h3>
               <PlayerForm
                 player={editingPlayer}
+                teams={formTeams}
+                allowNoTeam={allowNoTeam}
                 onSubmit={handleFormSubmit}
                 onCancel={handleCancelForm}
                 isLoading={formLoading}
@@ -349,36 +426,41 @@ function Dashboard({ user, onLogout, hideNavbar = false, onSuccess: onSuccessCal
           {/* Players List */}
           <div className="bg-white shadow-lg rounded-lg overflow-hidden">
             <PlayerList
-              players={paginatedPlayers}
-              onEdit={handleEdit}
-              onDelete={handleDelete}
+              players={players}
+              onEdit={readOnly ? undefined : handleEdit}
+              onDelete={readOnly ? undefined : handleDelete}
+              canEdit={(player) => can(user, 'player:update', player)}
+              canDelete={(player) => can(user, 'player:delete', player)}
               isLoading={loading}
+              sort={sort}
+              onSortChange={handleSortChange}
             />
             
             {/* Pagination */}
-            {!loading && filteredPlayers.length > 0 && (
+            {!loading && totalPlayers > 0 && (
               <Pagination
                 currentPage={currentPage}
-                totalItems={filteredPlayers.length}
+                totalItems={totalPlayers}
                 pageSize={pageSize}
                 onPageChange={handlePageChange}
                 onPageSizeChange={handlePageSizeChange}
+                pageSizeOptions={PAGE_SIZE_OPTIONS}
               />
             )}
           </div>
 
           {/* No Results Message */}
-          {!loading && searchQuery && filteredPlayers.length === 0 && (
+          {!loading && debouncedQuery && !isPreviousData && totalPlayers === 0 && (
             <div className="mt-4 text-center py-8 bg-white rounded-lg shadow">
               <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
               </svg>
               <h3 className="mt-2 text-sm font-medium text-gray-900">No players found</h3>
               <p className="mt-1 text-sm text-gray-500">
-                No results for &ldquo;{searchQuery}&rdquo;. Try a different search term.
+                No results for &ldquo;{debouncedQuery}&rdquo;. Try a different search term.
               </p>
               <button
-                onClick={() => setSearchQuery('')}
+                onClick={handleClearSearch}
                 className="mt-3 text-sm text-primary-600 hover:text-primary-700 font-medium"
               >
                 Clear search
@@ -0,0 +1,274 @@
+/**
+ * DuplicatePlayers Component
+ * Lists players whose names look alike and merges two records of the
+ * same person into one (admins only)
+ *
+ * Merging keeps one record with the chosen name, team and jersey, fills
+ * its blank profile fields from the other, and moves the other to the
+ * trash.
+ */
+
+import { useState, useEffect } from 'react';
+import { getErrorMessage, getRollbackMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import { queryKeys, fetchDuplicatePairs } from '../services/queries';
+import { updatePlayer, deletePlayer } from '../services/mutations';
+import { mergePlayerData } from '../utils/duplicates';
+import { BATTING_HANDS } from '../utils/playerProfile';
+import { getRoleLabel } from '../utils/playerRoles';
+import PlayerAvatar from './PlayerAvatar';
+import Pagination from './Pagination';
+
+const PICK_FIELDS = [
+  { field: 'player_name', label: 'Name', format: (player) => player.player_name },
+  { field: 'team_id', label: 'Team', format: (player) => player.team_name || 'Global pool' },
+  { field: 'jersey_number', label: 'Jersey', format: (player) => (player.jersey_number !== null ? `#${player.jersey_number}` : 'None') },
+];
+
+const COMBINED_FIELDS = [
+  { field: 'position', label: 'Position', format: (value) => getRoleLabel(value) },
+  { field: 'date_of_birth', label: 'Date of birth' },
+  { field: 'batting_hand', label: 'Batting', format: (value) => BATTING_HANDS[value] },
+  { field: 'bowling_style', label: 'Bowling' },
+  { field: 'locality', label: 'Locality' },
+  { field: 'phone', label: 'Phone' },
+  { field: 'emergency_contact_name', label: 'Emergency contact' },
+  { field: 'emergency_contact_phone', label: 'Emergency phone' },
+];
+
+const show = (value, format) => (value === null || value === undefined || value === '' ? '—' : (format ? format(value) : value) || '—');
+
+/**
+ * Side by side view of two records with the merge choices
+ */
+function MergePanel({ pair, onMerge, onCancel, merging }) {
+  const [keepId, setKeepId] = useState(pair.first.id);
+  const [picks, setPicks] = useState({});
+  const keep = keepId === pair.first.id ? pair.first : pair.second;
+  const remove = keep === pair.first ? pair.second : pair.first;
+  const merged = mergePlayerData(keep, remove, picks);
+
+  const pickedId = (field) => picks[field] ?? keep.id;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6 animate-fadeIn">
+        <h3 className="text-xl font-bold text-gray-900">Merge players</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          Pick what to keep. Blank details on the kept record are filled in from the other one,
+          which then moves to the trash.
+        </p>
+
+        <table className="mt-4 min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2" />
+              {[pair.first, pair.second].map((player) => (
+                <th key={player.id} className="px-4 py-2 text-left">
+                  <label className="flex items-center gap-2 font-medium text-gray-900">
+                    <input
+                      type="radio"
+                      name="keepRecord"
+                      checked={keepId === player.id}
+                      onChange={() => setKeepId(player.id)}
+                      className="h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                    />
+                    <PlayerAvatar player={player} />
+                    Keep record #{player.id}
+                  </label>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {PICK_FIELDS.map(({ field, label, format }) => (
+              <tr key={field}>
+                <td className="px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</td>
+                {[pair.first, pair.second].map((player) => (
+                  <td key={player.id} className="px-4 py-2">
+                    <label className="flex items-center gap-2 text-gray-900">
+                      <input
+                        type="radio"
+                        name={`pick-${field}`}
+                        checked={pickedId(field) === player.id}
+                        onChange={() => setPicks((current) => ({ ...current, [field]: player.id }))}
+                        className="h-4 w-4 text-primary-600 border-gray-300 focus:ring-primary-500"
+                      />
+                      {format(player)}
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {COMBINED_FIELDS.map(({ field, label, format }) => (
+              <tr key={field} className="text-gray-600">
+                <td className="px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</td>
+                {[pair.first, pair.second].map((player) => (
+                  <td key={player.id} className="px-4 py-2">{show(player[field], format)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="mt-4 bg-gray-50 rounded-lg p-4 text-sm text-gray-700">
+          <p className="font-medium text-gray-900">Result</p>
+          <p className="mt-1">
+            {merged.player_name} · {(pickedId('team_id') === pair.first.id ? pair.first : pair.second).team_name || 'Global pool'}
+            {merged.jersey_number !== null && ` · #${merged.jersey_number}`}
+            {merged.position && ` · ${getRoleLabel(merged.position)}`}
+          </p>
+          <p className="mt-1 text-gray-600">{remove.player_name} (record #{remove.id}) will be moved to the trash.</p>
+        </div>
+
+        <div className="flex space-x-3 mt-6">
+          <button
+            onClick={() => onMerge(keep, remove, merged)}
+            disabled={merging}
+            className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            {merging ? 'Merging...' : 'Merge'}
+          </button>
+          <button
+            onClick={onCancel}
+            disabled={merging}
+            className="flex-1 py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DuplicatePlayers({ onSuccess, onError }) {
+  const [selected, setSelected] = useState(null);
+  const [merging, setMerging] = useState(false);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pageSize, setPageSize] = useState(10);
+
+  // The server pairs up the names; only one page of pairs is loaded
+  const params = { page: currentPage, pageSize };
+  const { data: pairsPage, error: loadError, isLoading: loading } = useQuery(
+    queryKeys.duplicatePairs(params),
+    (options) => fetchDuplicatePairs(params, options),
+    { keepPreviousData: true }
+  );
+  const pairs = pairsPage?.pairs || [];
+  const total = pairsPage?.total || 0;
+
+  // Merging shortens the list, so step back from a page that emptied
+  useEffect(() => {
+    const lastPage = Math.max(1, Math.ceil(total / pageSize));
+    if (pairsPage && currentPage > lastPage) setCurrentPage(lastPage);
+  }, [pairsPage, total, pageSize, currentPage]);
+
+  // Report load failures
+  useEffect(() => {
+    if (loadError && onError) onError(getErrorMessage(loadError, 'Failed to load players'));
+  }, [loadError]);
+
+  const handlePageSizeChange = (newPageSize) => {
+    setPageSize(newPageSize);
+    setCurrentPage(1);
+  };
+
+  const handleMerge = async (keep, remove, data) => {
+    setMerging(true);
+    try {
+      // Remove the duplicate first so its jersey is free for the kept record
+      await deletePlayer(remove);
+    } catch (err) {
+      setMerging(false);
+      if (onError) onError(getRollbackMessage(err, `Failed to remove ${remove.player_name}.`));
+      return;
+    }
+
+    try {
+      await updatePlayer(keep, data);
+      setSelected(null);
+      if (onSuccess) onSuccess(`Merged ${remove.player_name} into ${data.player_name}.`);
+    } catch (err) {
+      if (onError) {
+        onError(`${getRollbackMessage(err, `Failed to update ${keep.player_name}.`)} ${remove.player_name} is in the trash and can be restored.`);
+      }
+      console.error('Merge error:', err);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="mb-6">
+        <h2 className="text-3xl font-bold text-gray-900">Duplicate Players</h2>
+        <p className="mt-1 text-sm text-gray-600">
+          Players whose names look alike, e.g. from imports of the same list
+        </p>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12">
+            <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <p className="mt-4 text-gray-600">Looking for duplicates...</p>
+          </div>
+        ) : pairs.length === 0 ? (
+          <div className="text-center py-12">
+            <h3 className="text-sm font-medium text-gray-900">No likely duplicates</h3>
+            <p className="mt-1 text-sm text-gray-500">Every player's name is distinct.</p>
+          </div>
+        ) : (
+          <>
+            <ul className="divide-y divide-gray-200">
+              {pairs.map((pair) => (
+                <li key={`${pair.first.id}-${pair.second.id}`} className="px-6 py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 hover:bg-gray-50 transition-colors">
+                  <div className="text-sm text-gray-900">
+                    {[pair.first, pair.second].map((player, index) => (
+                      <p key={player.id} className={index > 0 ? 'mt-1' : ''}>
+                        <span className="font-medium">{player.player_name}</span>
+                        <span className="text-gray-600">
+                          {' '}· {player.team_name || 'Global pool'}
+                          {player.jersey_number !== null && ` · #${player.jersey_number}`}
+                        </span>
+                      </p>
+                    ))}
+                    <p className="mt-1 text-xs text-gray-500">{Math.round(pair.score * 100)}% alike</p>
+                  </div>
+                  <button
+                    onClick={() => setSelected(pair)}
+                    className="px-3 py-1 rounded-md text-sm font-medium text-primary-700 bg-primary-50 hover:bg-primary-100 transition-colors"
+                  >
+                    Merge...
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <Pagination
+              currentPage={currentPage}
+              totalItems={total}
+              pageSize={pageSize}
+              onPageChange={setCurrentPage}
+              onPageSizeChange={handlePageSizeChange}
+            />
+          </>
+        )}
+      </div>
+
+      {selected && (
+        <MergePanel
+          pair={selected}
+          merging={merging}
+          onMerge={handleMerge}
+          onCancel={() => setSelected(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default DuplicatePlayers;
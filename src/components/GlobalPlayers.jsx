@@ -4,71 +4,119 @@
  */
 
 import { useState, useEffect } from 'react';
-import { playersAPI, teamsAPI } from '../services/api';
+import { Link } from 'react-router-dom';
+import { playersAPI } from '../services/api';
+import { getErrorKind, getErrorMessage, getRollbackMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import {
+  queryKeys,
+  fetchGlobalPlayers,
+  fetchTeams,
+  fetchTeamHierarchy,
+  invalidatePlayerQueries,
+} from '../services/queries';
+import { assignPlayer, updatePlayer, deletePlayer } from '../services/mutations';
+import { fetchQuery, getQueryData } from '../services/queryCache';
+import { undoAction, getTrashId, restorePlayer } from '../services/undo';
 import PlayerForm from './PlayerForm';
+import PlayerAvatar from './PlayerAvatar';
+import JerseyClashModal from './JerseyClashModal';
 import { exportGlobalPlayersToPDF } from '../utils/pdfExport';
+import { can, getManagedTeams } from '../utils/permissions';
+import { getRoleLabel } from '../utils/playerRoles';
+import { findJerseyConflict } from '../utils/jerseys';
 
-function GlobalPlayers({ onSuccess, onError }) {
-  const [players, setPlayers] = useState([]);
-  const [teams, setTeams] = useState([]);
-  const [loading, setLoading] = useState(true);
+function GlobalPlayers({ user, onSuccess, onError }) {
   const [showForm, setShowForm] = useState(false);
   const [editingPlayer, setEditingPlayer] = useState(null);
   const [formLoading, setFormLoading] = useState(false);
   const [assigningPlayer, setAssigningPlayer] = useState(null);
+  const [jerseyClash, setJerseyClash] = useState(null);
 
-  useEffect(() => {
-    loadData();
-  }, []);
+  const playersQuery = useQuery(queryKeys.globalPlayers, fetchGlobalPlayers);
+  const teamsQuery = useQuery(queryKeys.teams, fetchTeams);
+  const players = playersQuery.data || [];
+  const teams = teamsQuery.data || [];
+  const loading = playersQuery.isLoading || teamsQuery.isLoading;
+  const loadError = playersQuery.error || teamsQuery.error;
 
-  const loadData = async () => {
-    try {
-      setLoading(true);
-      const [playersRes, teamsRes] = await Promise.all([
-        playersAPI.getGlobal(),
-        teamsAPI.getAll()
-      ]);
-      setPlayers(playersRes.data.data);
-      setTeams(teamsRes.data.data);
-    } catch (err) {
-      if (onError) onError('Failed to load global players');
-      console.error('Load error:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Owners can only pick players into their own teams
+  const assignableTeams = (player) => teams.filter((team) => can(user, 'player:assign', player, team.id));
+
+  // Report load failures
+  useEffect(() => {
+    if (loadError && onError) onError(getErrorMessage(loadError, 'Failed to load global players'));
+  }, [loadError]);
 
   const handleFormSubmit = async (playerData) => {
-    try {
+    if (editingPlayer) {
+      // Shown in the list right away; the form stays open until the server accepts it
+      const player = editingPlayer;
       setFormLoading(true);
-
-      if (editingPlayer) {
-        await playersAPI.update(editingPlayer.id, playerData);
+      try {
+        await updatePlayer(player, playerData);
         if (onSuccess) onSuccess('Player updated successfully!');
-      } else {
-        await playersAPI.create(playerData);
-        if (onSuccess) onSuccess('Global player created successfully!');
+        setShowForm(false);
+        setEditingPlayer(null);
+      } catch (err) {
+        if (onError) onError(getErrorMessage(err, `Failed to update ${player.player_name}.`));
+        console.error('Update error:', err);
+      } finally {
+        setFormLoading(false);
       }
+      return;
+    }
 
-      await loadData();
+    try {
+      setFormLoading(true);
+      await playersAPI.create(playerData);
+      if (onSuccess) onSuccess('Global player created successfully!');
+
+      invalidatePlayerQueries(playerData.team_id);
       setShowForm(false);
-      setEditingPlayer(null);
     } catch (err) {
-      if (onError) onError(err.response?.data?.message || 'Failed to save player');
+      if (onError) onError(getErrorMessage(err, 'Failed to save player'));
       console.error('Save error:', err);
     } finally {
       setFormLoading(false);
     }
   };
 
-  const handleAssignToTeam = async (player, teamId) => {
+  /**
+   * Ask for another number, with the team's roster to suggest free ones
+   */
+  const openJerseyClash = async (player, teamId) => {
+    try {
+      const team = getQueryData(queryKeys.teamHierarchy(teamId)) ??
+        await fetchQuery(queryKeys.teamHierarchy(teamId), (options) => fetchTeamHierarchy(teamId, options));
+      setJerseyClash({ player, team });
+    } catch (err) {
+      if (onError) onError(getErrorMessage(err, `Failed to load the team for ${player.player_name}.`));
+      console.error('Load team error:', err);
+    }
+  };
+
+  const handleAssignToTeam = async (player, teamId, jerseyNumber) => {
+    setAssigningPlayer(null);
+    setJerseyClash(null);
+
+    // A roster already loaded shows the clash straight away; otherwise the server reports it
+    const team = getQueryData(queryKeys.teamHierarchy(teamId));
+    if (jerseyNumber === undefined && team &&
+        findJerseyConflict(player.jersey_number, team.players || [], { excludeId: player.id })) {
+      setJerseyClash({ player, team });
+      return;
+    }
+
     try {
-      await playersAPI.assignToTeam(player.id, teamId);
+      await assignPlayer(player, teamId, jerseyNumber);
       if (onSuccess) onSuccess(`${player.player_name} assigned to team!`);
-      await loadData();
-      setAssigningPlayer(null);
     } catch (err) {
-      if (onError) onError('Failed to assign player');
+      if (jerseyNumber === undefined && getErrorKind(err) === 'conflict') {
+        openJerseyClash(player, teamId);
+        return;
+      }
+      if (onError) onError(getRollbackMessage(err, `Failed to assign ${player.player_name}.`));
       console.error('Assign error:', err);
     }
   };
@@ -77,11 +125,15 @@ function GlobalPlayers({ onSuccess, onError }) {
     if (!window.confirm(`Delete ${player.player_name}?`)) return;
 
     try {
-      await playersAPI.delete(player.id);
-      if (onSuccess) onSuccess('Player deleted successfully!');
-      await loadData();
+      const trashId = getTrashId(await deletePlayer(player));
+      if (onSuccess) {
+        onSuccess(
+          trashId !== null ? 'Player moved to trash.' : 'Player deleted successfully!',
+          undoAction(() => restorePlayer(player, trashId), `${player.player_name} restored.`)
+        );
+      }
     } catch (err) {
-      if (onError) onError('Failed to delete player');
+      if (onError) onError(getRollbackMessage(err, `Failed to delete ${player.player_name}.`));
       console.error('Delete error:', err);
     }
   };
@@ -127,15 +179,17 @@ function GlobalPlayers({ onSuccess, onError }) {
             </svg>
             Export PDF
           </button>
-          <button
-            onClick={handleAddNew}
-            className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-all duration-200"
-          >
-            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-            </svg>
-            Add Global Player
-          </button>
+          {can(user, 'player:create', { team_id: null }) && (
+            <button
+              onClick={handleAddNew}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-all duration-200"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+              </svg>
+              Add Global Player
+            </button>
+          )}
         </div>
       </div>
 
@@ -147,7 +201,7 @@ function GlobalPlayers({ onSuccess, onError }) {
           </h4>
           <PlayerForm
             player={editingPlayer}
-            teams={teams}
+            teams={getManagedTeams(user, teams)}
             onSubmit={handleFormSubmit}
             onCancel={() => {
               setShowForm(false);
@@ -184,10 +238,15 @@ function GlobalPlayers({ onSuccess, onError }) {
               className="bg-white rounded-lg shadow-md p-5 hover:shadow-lg transition-shadow border border-gray-200"
             >
               <div className="flex items-start justify-between mb-3">
-                <div className="flex-1">
-                  <h4 className="text-lg font-semibold text-gray-900">{player.player_name}</h4>
+                <PlayerAvatar player={player} size="md" />
+                <div className="flex-1 ml-3">
+                  <h4 className="text-lg font-semibold text-gray-900">
+                    <Link to={`/players/${player.id}`} className="hover:text-primary-600 hover:underline">
+                      {player.player_name}
+                    </Link>
+                  </h4>
                   {player.position && (
-                    <p className="text-sm text-gray-600">{player.position}</p>
+                    <p className="text-sm text-gray-600">{getRoleLabel(player.position)}</p>
                   )}
                   {player.jersey_number && (
                     <span className="inline-flex items-center px-2 py-1 mt-1 rounded text-xs font-medium bg-gray-100 text-gray-800">
@@ -196,24 +255,28 @@ function GlobalPlayers({ onSuccess, onError }) {
                   )}
                 </div>
                 <div className="flex space-x-1">
-                  <button
-                    onClick={() => handleEdit(player)}
-                    className="p-2 text-primary-600 hover:bg-primary-50 rounded transition-colors"
-                    title="Edit"
-                  >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                    </svg>
-                  </button>
-                  <button
-                    onClick={() => handleDelete(player)}
-                    className="p-2 text-red-600 hover:bg-red-50 rounded transition-colors"
-                    title="Delete"
-                  >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                  </button>
+                  {can(user, 'player:update', player) && (
+                    <button
+                      onClick={() => handleEdit(player)}
+                      className="p-2 text-primary-600 hover:bg-primary-50 rounded transition-colors"
+                      title="Edit"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                      </svg>
+                    </button>
+                  )}
+                  {can(user, 'player:delete', player) && (
+                    <button
+                      onClick={() => handleDelete(player)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded transition-colors"
+                      title="Delete"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                  )}
                 </div>
               </div>
 
@@ -230,7 +293,7 @@ function GlobalPlayers({ onSuccess, onError }) {
                     defaultValue=""
                   >
                     <option value="">Select team...</option>
-                    {teams.map((team) => (
+                    {assignableTeams(player).map((team) => (
                       <option key={team.id} value={team.id}>
                         {team.team_logo} {team.team_name}
                       </option>
@@ -243,7 +306,7 @@ function GlobalPlayers({ onSuccess, onError }) {
                     Cancel
                   </button>
                 </div>
-              ) : (
+              ) : assignableTeams(player).length > 0 && (
                 <button
                   onClick={() => setAssigningPlayer(player.id)}
                   className="w-full mt-3 px-4 py-2 bg-primary-50 text-primary-700 rounded-lg hover:bg-primary-100 transition-colors text-sm font-medium flex items-center justify-center"
@@ -265,6 +328,16 @@ function GlobalPlayers({ onSuccess, onError }) {
           {players.length} global player{players.length !== 1 ? 's' : ''} available
         </div>
       )}
+
+      {jerseyClash && (
+        <JerseyClashModal
+          player={jerseyClash.player}
+          team={jerseyClash.team}
+          roster={jerseyClash.team.players || []}
+          onAssign={(jerseyNumber) => handleAssignToTeam(jerseyClash.player, jerseyClash.team.id, jerseyNumber)}
+          onCancel={() => setJerseyClash(null)}
+        />
+      )}
     </div>
   );
 }
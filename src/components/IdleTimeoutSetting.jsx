@@ -0,0 +1,44 @@
+/**
+ * IdleTimeoutSetting Component
+ * Lets admins choose when this browser signs out an idle session
+ */
+
+import { useSyncExternalStore } from 'react';
+import {
+  IDLE_TIMEOUT_OPTIONS,
+  getIdleTimeoutMinutes,
+  setIdleTimeoutMinutes,
+  subscribeIdleTimeout,
+} from '../services/idleTimeout';
+
+function IdleTimeoutSetting() {
+  const minutes = useSyncExternalStore(subscribeIdleTimeout, getIdleTimeoutMinutes);
+
+  // Keep a value set through the env file selectable
+  const options = IDLE_TIMEOUT_OPTIONS.includes(minutes)
+    ? IDLE_TIMEOUT_OPTIONS
+    : [...IDLE_TIMEOUT_OPTIONS, minutes].sort((a, b) => a - b);
+
+  return (
+    <div className="flex items-center">
+      <label htmlFor="idleTimeout" className="sr-only">
+        Idle sign-out
+      </label>
+      <select
+        id="idleTimeout"
+        value={minutes}
+        onChange={(e) => setIdleTimeoutMinutes(Number(e.target.value))}
+        className="text-xs sm:text-sm rounded-lg border-2 border-white bg-white bg-opacity-20 text-white font-medium px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-white"
+        title="Sign out this browser after a period without activity"
+      >
+        {options.map((option) => (
+          <option key={option} value={option} className="text-gray-900">
+            {option === 0 ? 'No idle sign-out' : `Idle sign-out: ${option} min`}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default IdleTimeoutSetting;
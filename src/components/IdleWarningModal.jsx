@@ -0,0 +1,61 @@
+/**
+ * IdleWarningModal Component
+ * Warns before signing out an idle session and counts down to it
+ */
+
+import { useNavigate } from 'react-router-dom';
+import useIdleTimeout from '../hooks/useIdleTimeout';
+import { signOut } from '../services/auth';
+import { getIdleTimeoutMinutes } from '../services/idleTimeout';
+
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+function IdleWarningModal({ user }) {
+  const navigate = useNavigate();
+
+  const handleSignOut = async (message) => {
+    await signOut();
+    navigate('/login', { state: message ? { message } : undefined });
+  };
+
+  const { remaining, stayActive } = useIdleTimeout(Boolean(user), () =>
+    handleSignOut(`You were signed out after ${getIdleTimeoutMinutes()} minutes without activity.`)
+  );
+
+  if (remaining === null) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl max-w-md w-full p-6 animate-fadeIn" role="alertdialog" aria-labelledby="idleWarningTitle">
+        <h3 id="idleWarningTitle" className="text-xl font-bold text-gray-900">Are you still there?</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          <span className="font-medium">{user.username}</span> will be signed out for inactivity in
+        </p>
+        <p className="mt-4 text-center text-4xl font-bold text-red-600 tabular-nums" aria-live="polite">
+          {formatCountdown(remaining)}
+        </p>
+
+        <div className="mt-6 flex space-x-3">
+          <button
+            onClick={stayActive}
+            autoFocus
+            className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+          >
+            Stay signed in
+          </button>
+          <button
+            onClick={() => handleSignOut()}
+            className="flex-1 py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+          >
+            Sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default IdleWarningModal;
@@ -0,0 +1,107 @@
+/**
+ * JerseyClashModal Component
+ * Asked when a player joins a team where someone already wears their
+ * number: pick a free number or join without one
+ */
+
+import { useState } from 'react';
+import { describeJerseyConflict, findJerseyConflict, suggestJerseyNumbers, JERSEY_MAX, JERSEY_MIN } from '../utils/jerseys';
+
+/**
+ * @param {Object} player - Player being assigned
+ * @param {Object} team - Team they are joining
+ * @param {Array} roster - Players already in the team
+ * @param {Function} onAssign - Called with the new number, or null for none
+ */
+function JerseyClashModal({ player, team, roster, onAssign, onCancel }) {
+  const conflict = findJerseyConflict(player.jersey_number, roster, { excludeId: player.id });
+  const suggestions = suggestJerseyNumbers(roster, { near: player.jersey_number, excludeId: player.id });
+  const [number, setNumber] = useState(suggestions[0] !== undefined ? String(suggestions[0]) : '');
+
+  const chosen = number === '' ? null : parseInt(number);
+  const chosenConflict = findJerseyConflict(chosen, roster, { excludeId: player.id });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (chosen === null || chosenConflict) return;
+    onAssign(chosen);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-2xl max-w-md w-full p-6 animate-fadeIn">
+        <h3 className="text-xl font-bold text-gray-900">Jersey number taken</h3>
+        <p className="mt-2 text-sm text-gray-600">
+          {conflict && `${describeJerseyConflict(player.jersey_number, conflict, team.team_name)}. `}
+          Give {player.player_name} another number, or add them without one.
+        </p>
+
+        {suggestions.length > 0 && (
+          <div className="mt-4">
+            <p className="text-xs font-medium text-gray-500 uppercase tracking-wider">Free numbers</p>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {suggestions.map((suggestion) => (
+                <button
+                  key={suggestion}
+                  type="button"
+                  onClick={() => setNumber(String(suggestion))}
+                  className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                    chosen === suggestion
+                      ? 'bg-primary-600 text-white'
+                      : 'bg-gray-100 text-gray-800 hover:bg-gray-200'
+                  }`}
+                >
+                  #{suggestion}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="mt-4">
+          <label htmlFor="clashJerseyNumber" className="block text-sm font-medium text-gray-700 mb-1">
+            New number
+          </label>
+          <input
+            id="clashJerseyNumber"
+            type="number"
+            min={JERSEY_MIN}
+            max={JERSEY_MAX}
+            value={number}
+            onChange={(e) => setNumber(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+          />
+          {chosenConflict && (
+            <p className="mt-1 text-sm text-red-600">#{chosen} is worn by {chosenConflict.player_name}</p>
+          )}
+        </div>
+
+        <div className="flex space-x-3 mt-6">
+          <button
+            type="submit"
+            disabled={chosen === null || Boolean(chosenConflict)}
+            className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            {chosen === null ? 'Add' : `Add as #${chosen}`}
+          </button>
+          <button
+            type="button"
+            onClick={() => onAssign(null)}
+            className="flex-1 py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 transition-all duration-200"
+          >
+            No number
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="py-2 px-4 text-sm font-medium text-gray-600 hover:text-gray-800"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default JerseyClashModal;
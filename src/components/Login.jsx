@@ -3,9 +3,11 @@
  * Handles user authentication
  */
 
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { authAPI } from '../services/api';
+import { setSession } from '../services/session';
+import { getErrorMessage } from '../utils/apiErrors';
 
 function Login({ onLogin }) {
   const [username, setUsername] = useState('');
@@ -13,6 +15,25 @@ function Login({ onLogin }) {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
+
+  // e.g. why the previous session ended
+  const notice = location.state?.message;
+
+  // A new league has no accounts yet; create the admin first
+  useEffect(() => {
+    let cancelled = false;
+    authAPI.getSetupStatus()
+      .then((response) => {
+        if (!cancelled && response.data.setup_required) navigate('/setup', { replace: true });
+      })
+      .catch(() => {
+        // Servers without first-run setup just show the sign in form
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [navigate]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -23,21 +44,18 @@ function Login({ onLogin }) {
       const response = await authAPI.login(username, password);
       
       if (response.data.success) {
-        // Store token and user info
-        localStorage.setItem('token', response.data.token);
-        localStorage.setItem('user', JSON.stringify(response.data.user));
+        // Store tokens and user info
+        setSession(response.data);
         
         // Call parent callback
         onLogin(response.data.user);
         
-        // Navigate to dashboard
-        navigate('/dashboard');
+        // Go back to the page that asked for a sign in, if any
+        const from = location.state?.from;
+        navigate(from ? `${from.pathname}${from.search}` : '/players');
       }
     } catch (err) {
-      setError(
-        err.response?.data?.message || 
-        'Login failed. Please check your credentials.'
-      );
+      setError(getErrorMessage(err, 'Login failed. Please check your credentials.'));
     } finally {
       setLoading(false);
     }
@@ -56,6 +74,12 @@ function Login({ onLogin }) {
         </div>
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {notice && !error && (
+            <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded animate-fadeIn">
+              <p className="text-sm text-yellow-800">{notice}</p>
+            </div>
+          )}
+
           {error && (
             <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded animate-fadeIn">
               <p className="text-sm text-red-700">{error}</p>
@@ -121,9 +145,9 @@ function Login({ onLogin }) {
           </div>
 
           <div className="text-center">
-            <p className="text-xs text-gray-500 mt-4">
-              Default credentials: admin / admin123
-            </p>
+            <Link to="/league" className="inline-block mt-2 text-sm text-primary-600 hover:text-primary-700 font-medium">
+              View teams and players without signing in
+            </Link>
           </div>
         </form>
       </div>
@@ -4,27 +4,23 @@
  */
 
 import { useNavigate } from 'react-router-dom';
-import { authAPI } from '../services/api';
+import { signOut } from '../services/auth';
+import BackendSwitcher from './BackendSwitcher';
+import IdleTimeoutSetting from './IdleTimeoutSetting';
+import { can, getRole } from '../utils/permissions';
 
 function Navbar({ user, onLogout }) {
   const navigate = useNavigate();
 
   const handleLogout = async () => {
-    try {
-      await authAPI.logout();
-    } catch (err) {
-      console.error('Logout error:', err);
-    } finally {
-      // Clear local storage
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      
-      // Call parent callback
-      onLogout();
-      
-      // Navigate to login
-      navigate('/login');
-    }
+    // Signs out every open tab too
+    await signOut();
+
+    // Call parent callback
+    onLogout();
+
+    // Navigate to login
+    navigate('/login');
   };
 
   return (
@@ -41,6 +37,16 @@ function Navbar({ user, onLogout }) {
           
           {/* Right side - User info and logout */}
           <div className="flex items-center space-x-2 sm:space-x-4">
+            {/* Backend profile switcher (admins only) */}
+            {can(user, 'settings:backend') && <BackendSwitcher />}
+
+            {/* Idle sign-out for shared laptops (admins only) */}
+            {can(user, 'settings:idle') && (
+              <div className="hidden md:block">
+                <IdleTimeoutSetting />
+              </div>
+            )}
+
             {/* User Avatar and Name */}
             <div className="flex items-center space-x-2">
               <div className="w-8 h-8 sm:w-9 sm:h-9 rounded-full bg-white bg-opacity-30 backdrop-blur-sm border-2 border-white flex items-center justify-center flex-shrink-0">
@@ -51,6 +57,9 @@ function Navbar({ user, onLogout }) {
               <span className="text-white font-medium text-sm hidden sm:block drop-shadow truncate max-w-[120px] md:max-w-none">
                 {user?.username}
               </span>
+              <span className="hidden md:inline-flex px-2 text-xs leading-5 font-semibold rounded-full bg-white bg-opacity-30 text-white capitalize">
+                {getRole(user)}
+              </span>
             </div>
             
             {/* Logout Button - Responsive text */}
@@ -3,35 +3,72 @@
  * Main dashboard with team management and all players view
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import Navbar from './Navbar';
 import Teams from './Teams';
 import Dashboard from './Dashboard';
+import ActivityFeed from './ActivityFeed';
+import Trash from './Trash';
+import UserManagement from './UserManagement';
+import RoleMigration from './RoleMigration';
+import PlayerDetail from './PlayerDetail';
+import DuplicatePlayers from './DuplicatePlayers';
+import UndoButton from './UndoButton';
+import { UNDO_WINDOW } from '../services/undo';
+import { can } from '../utils/permissions';
 
-function NewDashboard({ user, onLogout }) {
-  const [activeView, setActiveView] = useState('players'); // 'players' or 'teams'
+/**
+ * @param {string} view - Which route opened the dashboard: 'players', 'player'
+ *   (one player's page), 'teams', 'global-players', 'activity', 'trash',
+ *   'users', 'roles' or 'duplicates'
+ */
+function NewDashboard({ user, onLogout, view = 'players' }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const activeView = view;
+
+  // Come back to the same search and page after visiting another tab
+  const playersSearch = useRef('');
+  if (view === 'players') playersSearch.current = location.search;
+
+  const showingTeams = view === 'teams' || view === 'global-players';
+  const canViewActivity = can(user, 'activity:view');
+  const canManageTrash = can(user, 'trash:manage');
+  const canManageUsers = can(user, 'users:manage');
+  const canMigrateRoles = can(user, 'roles:migrate');
+  const canMergePlayers = can(user, 'players:merge');
   const [successMessage, setSuccessMessage] = useState('');
+  const [successAction, setSuccessAction] = useState(null);
   const [error, setError] = useState('');
 
-  // Auto-hide messages after 4 seconds
+  // Auto-hide messages after 4 seconds, or once the undo window closes
   useEffect(() => {
     if (error || successMessage) {
       const timer = setTimeout(() => {
         setError('');
         setSuccessMessage('');
-      }, 4000);
+        setSuccessAction(null);
+      }, successAction ? UNDO_WINDOW : 4000);
       return () => clearTimeout(timer);
     }
-  }, [error, successMessage]);
+  }, [error, successMessage, successAction]);
 
-  const handleSuccess = (message) => {
+  /**
+   * Show a success toast
+   * @param {string} message - Text to show
+   * @param {Object} action - Optional { label, run, message } button, e.g. Undo
+   */
+  const handleSuccess = (message, action = null) => {
     setSuccessMessage(message);
+    setSuccessAction(action);
     setError('');
   };
 
   const handleError = (message) => {
     setError(message);
     setSuccessMessage('');
+    setSuccessAction(null);
   };
 
   return (
@@ -43,9 +80,9 @@ function NewDashboard({ user, onLogout }) {
         <div className="mb-6 bg-white rounded-lg shadow-md p-2">
           <nav className="flex space-x-2">
             <button
-              onClick={() => setActiveView('players')}
+              onClick={() => navigate(`/players${playersSearch.current}`)}
               className={`flex-1 py-3 px-6 rounded-lg font-medium text-sm transition-all duration-200 ${
-                activeView === 'players'
+                activeView === 'players' || activeView === 'player'
                   ? 'bg-primary-600 text-white shadow-md'
                   : 'text-gray-600 hover:bg-gray-100'
               }`}
@@ -56,9 +93,9 @@ function NewDashboard({ user, onLogout }) {
               All Players
             </button>
             <button
-              onClick={() => setActiveView('teams')}
+              onClick={() => navigate('/teams')}
               className={`flex-1 py-3 px-6 rounded-lg font-medium text-sm transition-all duration-200 ${
-                activeView === 'teams'
+                showingTeams
                   ? 'bg-primary-600 text-white shadow-md'
                   : 'text-gray-600 hover:bg-gray-100'
               }`}
@@ -68,6 +105,81 @@ function NewDashboard({ user, onLogout }) {
               </svg>
               Teams & Groups
             </button>
+            {canViewActivity && (
+              <button
+                onClick={() => navigate('/activity')}
+                className={`flex-1 py-3 px-6 rounded-lg font-medium text-sm transition-all duration-200 ${
+                  activeView === 'activity'
+                    ? 'bg-primary-600 text-white shadow-md'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <svg className="w-5 h-5 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                Activity
+              </button>
+            )}
+            {canManageTrash && (
+              <button
+                onClick={() => navigate('/trash')}
+                className={`flex-1 py-3 px-6 rounded-lg font-medium text-sm transition-all duration-200 ${
+                  activeView === 'trash'
+                    ? 'bg-primary-600 text-white shadow-md'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <svg className="w-5 h-5 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+                Trash
+              </button>
+            )}
+            {canManageUsers && (
+              <button
+                onClick={() => navigate('/users')}
+                className={`flex-1 py-3 px-6 rounded-lg font-medium text-sm transition-all duration-200 ${
+                  activeView === 'users'
+                    ? 'bg-primary-600 text-white shadow-md'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <svg className="w-5 h-5 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                </svg>
+                Users
+              </button>
+            )}
+            {canMigrateRoles && (
+              <button
+                onClick={() => navigate('/roles')}
+                className={`flex-1 py-3 px-6 rounded-lg font-medium text-sm transition-all duration-200 ${
+                  activeView === 'roles'
+                    ? 'bg-primary-600 text-white shadow-md'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <svg className="w-5 h-5 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                </svg>
+                Roles
+              </button>
+            )}
+            {canMergePlayers && (
+              <button
+                onClick={() => navigate('/duplicates')}
+                className={`flex-1 py-3 px-6 rounded-lg font-medium text-sm transition-all duration-200 ${
+                  activeView === 'duplicates'
+                    ? 'bg-primary-600 text-white shadow-md'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                <svg className="w-5 h-5 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2" />
+                </svg>
+                Duplicates
+              </button>
+            )}
           </nav>
         </div>
 
@@ -89,7 +201,10 @@ function NewDashboard({ user, onLogout }) {
               <svg className="w-5 h-5 text-green-500 mr-3" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
               </svg>
-              <p className="text-sm text-green-700 font-medium">{successMessage}</p>
+              <p className="flex-1 text-sm text-green-700 font-medium">{successMessage}</p>
+              {successAction && (
+                <UndoButton action={successAction} onDone={handleSuccess} onError={handleError} />
+              )}
             </div>
           </div>
         )}
@@ -105,8 +220,20 @@ function NewDashboard({ user, onLogout }) {
               hideNavbar={true}
             />
           </div>
+        ) : activeView === 'player' ? (
+          <PlayerDetail user={user} onSuccess={handleSuccess} onError={handleError} />
+        ) : activeView === 'activity' && canViewActivity ? (
+          <ActivityFeed onError={handleError} />
+        ) : activeView === 'trash' && canManageTrash ? (
+          <Trash onSuccess={handleSuccess} onError={handleError} />
+        ) : activeView === 'users' && canManageUsers ? (
+          <UserManagement user={user} onSuccess={handleSuccess} onError={handleError} />
+        ) : activeView === 'roles' && canMigrateRoles ? (
+          <RoleMigration onSuccess={handleSuccess} onError={handleError} />
+        ) : activeView === 'duplicates' && canMergePlayers ? (
+          <DuplicatePlayers onSuccess={handleSuccess} onError={handleError} />
         ) : (
-          <Teams onSuccess={handleSuccess} onError={handleError} />
+          <Teams user={user} view={view} onSuccess={handleSuccess} onError={handleError} />
         )}
       </div>
     </div>
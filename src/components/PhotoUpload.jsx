@@ -0,0 +1,134 @@
+/**
+ * PhotoUpload Component
+ * Picks a player photo, lets the user crop it to a square, and hands back
+ * a small resized JPEG
+ */
+
+import { useMemo, useRef, useState } from 'react';
+import { cropImage, loadImage } from '../utils/image';
+import PlayerAvatar from './PlayerAvatar';
+
+const INITIAL_CROP = { zoom: 1, x: 0, y: 0 };
+
+/**
+ * Modal with the crop preview and its controls
+ */
+function PhotoCropper({ image, onDone, onCancel }) {
+  const [crop, setCrop] = useState(INITIAL_CROP);
+  const preview = useMemo(() => cropImage(image, crop), [image, crop]);
+  const landscape = image.naturalWidth > image.naturalHeight;
+  const portrait = image.naturalHeight > image.naturalWidth;
+
+  const setCropValue = (key) => (e) => setCrop((current) => ({ ...current, [key]: Number(e.target.value) }));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl max-w-sm w-full p-6 animate-fadeIn">
+        <h3 className="text-xl font-bold text-gray-900">Crop photo</h3>
+
+        <img src={preview} alt="Cropped photo preview" className="mt-4 mx-auto w-48 h-48 rounded-full object-cover border border-gray-200" />
+
+        <div className="mt-4 space-y-3">
+          <label className="block text-sm text-gray-700">
+            Zoom
+            <input type="range" min="1" max="3" step="0.05" value={crop.zoom} onChange={setCropValue('zoom')} className="w-full" />
+          </label>
+          {(landscape || crop.zoom > 1) && (
+            <label className="block text-sm text-gray-700">
+              Left / right
+              <input type="range" min="-1" max="1" step="0.01" value={crop.x} onChange={setCropValue('x')} className="w-full" />
+            </label>
+          )}
+          {(portrait || crop.zoom > 1) && (
+            <label className="block text-sm text-gray-700">
+              Up / down
+              <input type="range" min="-1" max="1" step="0.01" value={crop.y} onChange={setCropValue('y')} className="w-full" />
+            </label>
+          )}
+        </div>
+
+        <div className="mt-6 flex space-x-3">
+          <button
+            type="button"
+            onClick={() => onDone(preview)}
+            className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+          >
+            Use photo
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @param {string|null} value - Current photo URL
+ * @param {Function} onChange - Called with the new data URL, or null to remove it
+ * @param {string} playerName - For the initials shown without a photo
+ */
+function PhotoUpload({ value, onChange, playerName, disabled }) {
+  const inputRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    // Let the same file be picked again after cancelling
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      setImage(await loadImage(file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDone = (dataUrl) => {
+    onChange(dataUrl);
+    setImage(null);
+  };
+
+  return (
+    <div className="flex items-center gap-4">
+      <PlayerAvatar player={{ player_name: playerName || '?', photo_url: value }} size="lg" />
+      <div className="space-y-1">
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => inputRef.current?.click()}
+            disabled={disabled}
+            className="px-3 py-1.5 rounded-lg text-sm font-medium text-primary-700 bg-primary-50 hover:bg-primary-100 disabled:opacity-50 transition-colors"
+          >
+            {value ? 'Change photo' : 'Upload photo'}
+          </button>
+          {value && (
+            <button
+              type="button"
+              onClick={() => onChange(null)}
+              disabled={disabled}
+              className="px-3 py-1.5 rounded-lg text-sm font-medium text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-50 transition-colors"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-gray-500">JPEG or PNG, cropped to a square</p>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        <input ref={inputRef} type="file" accept="image/*" className="hidden" onChange={handleFile} />
+      </div>
+
+      {image && <PhotoCropper image={image} onDone={handleDone} onCancel={() => setImage(null)} />}
+    </div>
+  );
+}
+
+export default PhotoUpload;
@@ -0,0 +1,38 @@
+/**
+ * PlayerAvatar Component
+ * Player photo, or their initials when there is none
+ */
+
+import { getInitials } from '../utils/playerProfile';
+
+const SIZES = {
+  sm: 'w-8 h-8 text-xs',
+  md: 'w-12 h-12 text-base',
+  lg: 'w-24 h-24 text-2xl',
+};
+
+function PlayerAvatar({ player, size = 'sm', color }) {
+  const sizeClass = SIZES[size] || SIZES.sm;
+
+  if (player.photo_url) {
+    return (
+      <img
+        src={player.photo_url}
+        alt=""
+        className={`${sizeClass} rounded-full object-cover flex-shrink-0 border border-gray-200`}
+      />
+    );
+  }
+
+  return (
+    <div
+      className={`${sizeClass} rounded-full flex items-center justify-center flex-shrink-0 font-semibold text-white bg-primary-500`}
+      style={color ? { backgroundColor: color } : undefined}
+      aria-hidden="true"
+    >
+      {getInitials(player.player_name)}
+    </div>
+  );
+}
+
+export default PlayerAvatar;
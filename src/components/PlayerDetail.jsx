@@ -0,0 +1,310 @@
+/**
+ * PlayerDetail Component
+ * A player's own page: their registration profile and every move between
+ * teams and the global pool, with jersey changes, season by season
+ *
+ * Contact details and the history only show for users who manage the
+ * player's team.
+ */
+
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { getErrorKind, getErrorMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import { queryKeys, fetchPlayer, fetchPlayerHistory, fetchTeams } from '../services/queries';
+import { updatePlayer } from '../services/mutations';
+import PlayerAvatar from './PlayerAvatar';
+import PlayerForm from './PlayerForm';
+import { exportPlayerProfileToPDF } from '../utils/pdfExport';
+import { BATTING_HANDS, getAge } from '../utils/playerProfile';
+import { getRoleLabel } from '../utils/playerRoles';
+import { buildPlayerHistory, groupBySeason } from '../utils/playerHistory';
+import { can, getManagedTeams } from '../utils/permissions';
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatJersey = (number) => (number === null || number === undefined ? 'no number' : `#${number}`);
+
+const EVENT_STYLES = {
+  registered: 'bg-green-500',
+  assigned: 'bg-primary-500',
+  unassigned: 'bg-yellow-500',
+  moved: 'bg-primary-500',
+  jersey: 'bg-purple-500',
+  deleted: 'bg-red-500',
+  restored: 'bg-green-500',
+};
+
+/**
+ * What happened, in words
+ */
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'registered':
+      return `Registered ${event.to ? `with ${event.to}` : 'in the global pool'}${event.jersey !== null ? ` wearing #${event.jersey}` : ''}`;
+    case 'assigned':
+      return `Assigned to ${event.to} from the global pool`;
+    case 'unassigned':
+      return `Released from ${event.from} to the global pool`;
+    case 'moved':
+      return `Moved from ${event.from} to ${event.to}`;
+    case 'jersey':
+      return `Jersey changed from ${formatJersey(event.from)} to ${formatJersey(event.to)}`;
+    case 'deleted':
+      return 'Deleted';
+    case 'restored':
+      return `Restored ${event.to ? `to ${event.to}` : 'to the global pool'}`;
+    default:
+      return event.type;
+  }
+};
+
+/**
+ * One labelled value in the profile
+ */
+function Detail({ label, children }) {
+  return (
+    <div>
+      <dt className="text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</dt>
+      <dd className="mt-1 text-sm text-gray-900">{children || '—'}</dd>
+    </div>
+  );
+}
+
+/**
+ * Team moves and jersey changes, newest season first
+ */
+function PlayerHistory({ playerId }) {
+  const { data: entries = [], error, isLoading } = useQuery(
+    queryKeys.playerHistory(playerId),
+    (options) => fetchPlayerHistory(playerId, options)
+  );
+  const seasons = groupBySeason(buildPlayerHistory(entries));
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-600">Loading history...</p>;
+  }
+  if (error) {
+    return (
+      <div className="bg-red-50 border-l-4 border-red-500 p-3 rounded">
+        <p className="text-sm text-red-700">{getErrorMessage(error, 'Failed to load the history')}</p>
+      </div>
+    );
+  }
+  if (seasons.length === 0) {
+    return <p className="text-sm text-gray-500">No team moves or jersey changes have been recorded yet.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {seasons.map(({ season, events }) => (
+        <div key={season ?? 'unknown'}>
+          <h4 className="text-sm font-semibold text-gray-700">{season ? `${season} season` : 'Undated'}</h4>
+          <ol className="mt-3 border-l-2 border-gray-200 space-y-4">
+            {events.map((event) => (
+              <li key={event.id} className="relative pl-6">
+                <span className={`absolute -left-[7px] top-1.5 w-3 h-3 rounded-full ${EVENT_STYLES[event.type] || 'bg-gray-400'}`} />
+                <p className="text-sm text-gray-900">{describeEvent(event)}</p>
+                <p className="text-xs text-gray-500">
+                  {formatDateTime(event.at)} by {event.actor.username}
+                </p>
+              </li>
+            ))}
+          </ol>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PlayerDetail({ user, onSuccess, onError }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const params = useParams();
+  const playerId = Number(params.playerId);
+  const validId = Number.isInteger(playerId) && playerId > 0;
+  // The player as it was when editing started, so the form isn't reset by
+  // the optimistic update or its rollback
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { data: player, error, isLoading } = useQuery(
+    queryKeys.player(playerId),
+    (options) => fetchPlayer(playerId, options),
+    { enabled: validId }
+  );
+  const canEdit = player && can(user, 'player:update', player);
+  const { data: teams = [] } = useQuery(queryKeys.teams, fetchTeams, { enabled: Boolean(canEdit) });
+
+  // Return to wherever the player was clicked, or the players list on a fresh tab
+  const handleBack = () => {
+    if (location.key !== 'default') navigate(-1);
+    else navigate('/players');
+  };
+
+  const handleSubmit = async (playerData) => {
+    // The page shows the change right away; the form stays open until the server accepts it
+    setSaving(true);
+    try {
+      await updatePlayer(editing, playerData);
+      if (onSuccess) onSuccess('Player updated successfully!');
+      setEditing(null);
+    } catch (err) {
+      if (onError) onError(getErrorMessage(err, `Failed to update ${player.player_name}.`));
+      console.error('Update player error:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Not a player id, e.g. a mistyped link
+  if (!validId) {
+    return <Navigate to="/players" replace />;
+  }
+
+  const backButton = (
+    <button
+      onClick={handleBack}
+      className="mb-4 inline-flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+    >
+      <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+      </svg>
+      Back
+    </button>
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <div className="text-center">
+          <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+          <p className="text-gray-600">Loading player...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !player) {
+    return (
+      <div>
+        {backButton}
+        <div className="text-center py-20 bg-white rounded-2xl shadow-sm">
+          <p className="text-gray-600">
+            {getErrorKind(error) === 'not_found' || !error
+              ? 'This player does not exist or has been deleted.'
+              : getErrorMessage(error, 'Failed to load the player')}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const showContact = can(user, 'player:contact', player);
+  const showHistory = can(user, 'player:history', player);
+  const age = getAge(player.date_of_birth);
+
+  return (
+    <div className="animate-fadeIn">
+      {backButton}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 bg-white rounded-lg shadow-lg p-6">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+            <div className="flex items-center gap-4">
+              <PlayerAvatar player={player} size="lg" />
+              <div>
+                <h2 className="text-3xl font-bold text-gray-900">{player.player_name}</h2>
+                <p className="text-sm text-gray-600">
+                  {player.team_name || 'Global Player'}
+                  {player.jersey_number !== null && ` · #${player.jersey_number}`}
+                </p>
+              </div>
+            </div>
+            <div className="flex space-x-3">
+              {canEdit && !editing && (
+                <button
+                  onClick={() => setEditing(player)}
+                  className="py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+                >
+                  Edit
+                </button>
+              )}
+              <button
+                onClick={() => exportPlayerProfileToPDF(player, { includeContact: showContact })}
+                className="py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+              >
+                Export PDF
+              </button>
+            </div>
+          </div>
+
+          {editing ? (
+            <div className="mt-6 pt-6 border-t border-gray-200">
+              <PlayerForm
+                player={editing}
+                teams={getManagedTeams(user, teams)}
+                allowNoTeam={can(user, 'player:update', editing, { team_id: null })}
+                onSubmit={handleSubmit}
+                onCancel={() => setEditing(null)}
+                isLoading={saving}
+              />
+            </div>
+          ) : (
+            <>
+              <dl className="mt-6 grid grid-cols-2 sm:grid-cols-3 gap-4">
+                <Detail label="Position">{player.position && getRoleLabel(player.position)}</Detail>
+                <Detail label="Age">
+                  {age !== null && `${age} (born ${formatDate(player.date_of_birth)})`}
+                </Detail>
+                <Detail label="Batting">{BATTING_HANDS[player.batting_hand]}</Detail>
+                <Detail label="Bowling">{player.bowling_style}</Detail>
+                <Detail label="Village / Locality">{player.locality}</Detail>
+                <Detail label="Registered">{player.created_at && formatDate(player.created_at)}</Detail>
+              </dl>
+
+              {showContact && (
+                <div className="mt-6 pt-6 border-t border-gray-200">
+                  <h3 className="text-sm font-semibold text-gray-900">Contact</h3>
+                  <dl className="mt-3 grid grid-cols-2 sm:grid-cols-3 gap-4">
+                    <Detail label="Phone">
+                      {player.phone && <a href={`tel:${player.phone}`} className="text-primary-600 hover:text-primary-700">{player.phone}</a>}
+                    </Detail>
+                    <Detail label="Emergency contact">
+                      {player.emergency_contact_name}
+                      {player.emergency_contact_phone && (
+                        <>
+                          {player.emergency_contact_name && <br />}
+                          <a href={`tel:${player.emergency_contact_phone}`} className="text-primary-600 hover:text-primary-700">
+                            {player.emergency_contact_phone}
+                          </a>
+                        </>
+                      )}
+                    </Detail>
+                  </dl>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-lg p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Team history</h3>
+          {showHistory ? (
+            <PlayerHistory playerId={playerId} />
+          ) : (
+            <p className="text-sm text-gray-500">Only admins and the player's team owner can see their history.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PlayerDetail;
@@ -1,49 +1,96 @@
 /**
  * PlayerForm Component
- * Form for adding and editing players
+ * Form for adding and editing players, including their registration profile
+ *
+ * Pass teams to limit the team choices, and allowNoTeam={false} when
+ * the player must go into one of them. New players whose name looks like
+ * an existing player's need a second click to save.
+ *
+ * The jersey number is checked against the chosen team's roster (or the
+ * roster passed in when the team choice is hidden) and free numbers are
+ * suggested when it is taken.
  */
 
 import { useState, useEffect } from 'react';
-import { teamsAPI } from '../services/api';
+import useQuery from '../hooks/useQuery';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { queryKeys, fetchDuplicateMatches, fetchTeams, fetchTeamHierarchy } from '../services/queries';
+import { fetchQuery, getQueryData } from '../services/queryCache';
+import { normalizeName } from '../utils/duplicates';
+import {
+  BATTING_HANDS,
+  BOWLING_STYLES,
+  PROFILE_FIELDS,
+  validatePlayerProfile,
+} from '../utils/playerProfile';
+import { ROLE_NAMES, resolveRole } from '../utils/playerRoles';
+import { findJerseyConflict, suggestJerseyNumbers, JERSEY_MAX, JERSEY_MIN } from '../utils/jerseys';
+import PhotoUpload from './PhotoUpload';
 
-function PlayerForm({ player, teams, onSubmit, onCancel, isLoading, hideTeamSelect }) {
+const EMPTY_PROFILE = Object.fromEntries(PROFILE_FIELDS.map((field) => [field, '']));
+
+function PlayerForm({ player, teams, roster, onSubmit, onCancel, isLoading, hideTeamSelect, allowNoTeam = true }) {
   const [playerName, setPlayerName] = useState('');
   const [position, setPosition] = useState('');
   const [jerseyNumber, setJerseyNumber] = useState('');
   const [teamId, setTeamId] = useState('');
-  const [availableTeams, setAvailableTeams] = useState(teams || []);
-  const [loadingTeams, setLoadingTeams] = useState(false);
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+  const [error, setError] = useState('');
+  // Name the user chose to add despite the duplicate warning
+  const [confirmedName, setConfirmedName] = useState(null);
 
   // Load teams if not provided
-  useEffect(() => {
-    if (!teams && !hideTeamSelect) {
-      loadTeams();
-    }
-  }, [teams, hideTeamSelect]);
+  const teamsQuery = useQuery(queryKeys.teams, fetchTeams, { enabled: !teams && !hideTeamSelect });
+  const availableTeams = teams || teamsQuery.data || [];
+  const loadingTeams = !teams && !hideTeamSelect && teamsQuery.isLoading;
+
+  // Warn about possible duplicates while a new player's name is typed
+  const debouncedName = useDebouncedValue(playerName, 300);
+  const checkedName = player ? '' : normalizeName(debouncedName);
+  const duplicatesQuery = useQuery(
+    queryKeys.duplicateCheck(checkedName),
+    (options) => fetchDuplicateMatches([debouncedName], options).then(([matches]) => matches),
+    { enabled: Boolean(checkedName) }
+  );
+  const duplicates = (checkedName && duplicatesQuery.data) || [];
+  const duplicateConfirmed = duplicates.length > 0 && confirmedName === normalizeName(playerName);
+
+  // Numbers already worn in the team the player is going into
+  const rosterQuery = useQuery(
+    queryKeys.teamHierarchy(teamId),
+    (options) => fetchTeamHierarchy(teamId, options),
+    { enabled: !roster && Boolean(teamId) }
+  );
+  const teamRoster = roster || (teamId ? rosterQuery.data?.players : null) || [];
+  const jerseyConflict = findJerseyConflict(jerseyNumber, teamRoster, { excludeId: player?.id ?? null });
+  const jerseySuggestions = jerseyConflict
+    ? suggestJerseyNumbers(teamRoster, { near: jerseyNumber, excludeId: player?.id ?? null })
+    : [];
 
   // Populate form if editing existing player
   useEffect(() => {
     if (player) {
       setPlayerName(player.player_name || '');
-      setPosition(player.position || '');
-      setJerseyNumber(player.jersey_number || '');
+      // Spellings of a catalogue role load as that role
+      setPosition(resolveRole(player.position) || player.position || '');
+      setJerseyNumber(player.jersey_number ?? '');
       setTeamId(player.team_id || '');
+      setProfile(Object.fromEntries(PROFILE_FIELDS.map((field) => [field, player[field] || ''])));
     }
   }, [player]);
 
-  const loadTeams = async () => {
-    try {
-      setLoadingTeams(true);
-      const response = await teamsAPI.getAll();
-      setAvailableTeams(response.data.data);
-    } catch (err) {
-      console.error('Load teams error:', err);
-    } finally {
-      setLoadingTeams(false);
-    }
+  const setProfileField = (field) => (e) => {
+    setProfile((current) => ({ ...current, [field]: e.target.value }));
   };
 
-  const handleSubmit = (e) => {
+  // Start new players in the only team they can go into
+  useEffect(() => {
+    if (!player && !allowNoTeam && availableTeams.length > 0 && !teamId) {
+      setTeamId(String(availableTeams[0].id));
+    }
+  }, [player, allowNoTeam, availableTeams, teamId]);
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
     // Validate inputs
@@ -51,18 +98,66 @@ function PlayerForm({ player, teams, onSubmit, onCancel, isLoading, hideTeamSele
       return;
     }
 
+    const profileData = Object.fromEntries(
+      PROFILE_FIELDS.map((field) => [field, profile[field]?.trim() || null])
+    );
+    const problem = validatePlayerProfile(profileData);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    if (jerseyConflict) {
+      setError(`#${jerseyNumber} is already worn by ${jerseyConflict.player_name}. Pick a free number.`);
+      return;
+    }
+    setError('');
+
+    // Ask once more before adding a likely duplicate
+    const name = normalizeName(playerName);
+    if (!player && confirmedName !== name) {
+      const key = queryKeys.duplicateCheck(name);
+      let matches = [];
+      try {
+        matches = getQueryData(key) ??
+          await fetchQuery(key, (options) => fetchDuplicateMatches([playerName], options).then(([found]) => found));
+      } catch (err) {
+        // The check only warns, so a failed one doesn't stop the player being added
+        console.error('Duplicate check error:', err);
+      }
+      if (matches.length > 0) {
+        setConfirmedName(name);
+        return;
+      }
+    }
+
     // Call parent submit handler
     onSubmit({
       player_name: playerName.trim(),
       position: position.trim() || null,
-      jersey_number: jerseyNumber ? parseInt(jerseyNumber) : null,
+      jersey_number: jerseyNumber !== '' ? parseInt(jerseyNumber) : null,
       team_id: teamId ? parseInt(teamId) : null, // Allow null for global players
+      ...profileData,
     });
   };
 
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-3 rounded">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="md:col-span-2">
+          <PhotoUpload
+            value={profile.photo_url || null}
+            onChange={(photoUrl) => setProfile((current) => ({ ...current, photo_url: photoUrl || '' }))}
+            playerName={playerName}
+            disabled={isLoading}
+          />
+        </div>
+
         <div className="md:col-span-2">
           <label htmlFor="playerName" className="block text-sm font-medium text-gray-700 mb-1">
             Player Name *
@@ -77,12 +172,32 @@ function PlayerForm({ player, teams, onSubmit, onCancel, isLoading, hideTeamSele
             onChange={(e) => setPlayerName(e.target.value)}
             disabled={isLoading}
           />
+          {duplicates.length > 0 && (
+            <div className="mt-2 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded">
+              <p className="text-sm text-yellow-800 font-medium">
+                {duplicateConfirmed
+                  ? 'Press Add Anyway if this is a different person.'
+                  : 'This may be a player who is already registered:'}
+              </p>
+              <ul className="mt-1 text-sm text-yellow-800 space-y-0.5">
+                {duplicates.map(({ player: match }) => (
+                  <li key={match.id}>
+                    {match.player_name}
+                    <span className="text-yellow-700">
+                      {' '}· {match.team_name || 'Global pool'}
+                      {match.jersey_number !== null && ` · #${match.jersey_number}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
 
         {!hideTeamSelect && (
           <div className="md:col-span-2">
             <label htmlFor="teamId" className="block text-sm font-medium text-gray-700 mb-1">
-              Team {!player && <span className="text-gray-500 text-xs">(Optional - leave empty for global player)</span>}
+              Team {!player && allowNoTeam && <span className="text-gray-500 text-xs">(Optional - leave empty for global player)</span>}
             </label>
             <select
               id="teamId"
@@ -90,8 +205,9 @@ function PlayerForm({ player, teams, onSubmit, onCancel, isLoading, hideTeamSele
               value={teamId}
               onChange={(e) => setTeamId(e.target.value)}
               disabled={isLoading || loadingTeams}
+              required={!allowNoTeam}
             >
-              <option value="">No Team (Global Player)</option>
+              {allowNoTeam && <option value="">No Team (Global Player)</option>}
               {availableTeams.map((team) => (
                 <option key={team.id} value={team.id}>
                   {team.team_logo} {team.team_name}
@@ -105,15 +221,22 @@ function PlayerForm({ player, teams, onSubmit, onCancel, isLoading, hideTeamSele
           <label htmlFor="position" className="block text-sm font-medium text-gray-700 mb-1">
             Position
           </label>
-          <input
+          <select
             id="position"
-            type="text"
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
-            placeholder="e.g., Forward, Goalkeeper"
             value={position}
             onChange={(e) => setPosition(e.target.value)}
             disabled={isLoading}
-          />
+          >
+            <option value="">No role</option>
+            {ROLE_NAMES.map((role) => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+            {/* Keep a position from before the catalogue until it is changed */}
+            {position && !ROLE_NAMES.includes(position) && (
+              <option value={position}>{position} (not in the role list)</option>
+            )}
+          </select>
         </div>
 
         <div>
@@ -123,14 +246,156 @@ function PlayerForm({ player, teams, onSubmit, onCancel, isLoading, hideTeamSele
           <input
             id="jerseyNumber"
             type="number"
-            min="0"
-            max="999"
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+            min={JERSEY_MIN}
+            max={JERSEY_MAX}
+            className={`w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition ${
+              jerseyConflict ? 'border-red-400' : 'border-gray-300'
+            }`}
             placeholder="e.g., 10"
             value={jerseyNumber}
             onChange={(e) => setJerseyNumber(e.target.value)}
             disabled={isLoading}
           />
+          {jerseyConflict && (
+            <div className="mt-1">
+              <p className="text-sm text-red-600">Worn by {jerseyConflict.player_name} in this team</p>
+              {jerseySuggestions.length > 0 && (
+                <div className="mt-1 flex flex-wrap items-center gap-1">
+                  <span className="text-xs text-gray-500">Free:</span>
+                  {jerseySuggestions.map((suggestion) => (
+                    <button
+                      key={suggestion}
+                      type="button"
+                      onClick={() => setJerseyNumber(String(suggestion))}
+                      className="px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800 hover:bg-gray-200 transition-colors"
+                      disabled={isLoading}
+                    >
+                      #{suggestion}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <h4 className="md:col-span-2 pt-2 text-sm font-semibold text-gray-900 border-t border-gray-200">
+          Profile
+        </h4>
+
+        <div>
+          <label htmlFor="dateOfBirth" className="block text-sm font-medium text-gray-700 mb-1">
+            Date of Birth
+          </label>
+          <input
+            id="dateOfBirth"
+            type="date"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+            max={new Date().toISOString().slice(0, 10)}
+            value={profile.date_of_birth}
+            onChange={setProfileField('date_of_birth')}
+            disabled={isLoading}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="battingHand" className="block text-sm font-medium text-gray-700 mb-1">
+            Batting
+          </label>
+          <select
+            id="battingHand"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+            value={profile.batting_hand}
+            onChange={setProfileField('batting_hand')}
+            disabled={isLoading}
+          >
+            <option value="">Not known</option>
+            {Object.entries(BATTING_HANDS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="bowlingStyle" className="block text-sm font-medium text-gray-700 mb-1">
+            Bowling
+          </label>
+          <select
+            id="bowlingStyle"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+            value={profile.bowling_style}
+            onChange={setProfileField('bowling_style')}
+            disabled={isLoading}
+          >
+            <option value="">Not known</option>
+            {BOWLING_STYLES.map((style) => (
+              <option key={style} value={style}>{style}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="locality" className="block text-sm font-medium text-gray-700 mb-1">
+            Village / Locality
+          </label>
+          <input
+            id="locality"
+            type="text"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+            placeholder="e.g., Humcha"
+            value={profile.locality}
+            onChange={setProfileField('locality')}
+            disabled={isLoading}
+          />
+        </div>
+
+        <h4 className="md:col-span-2 pt-2 text-sm font-semibold text-gray-900 border-t border-gray-200">
+          Contact <span className="text-gray-500 text-xs font-normal">(private - only organizers managing the team see it)</span>
+        </h4>
+
+        <div>
+          <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-1">
+            Phone
+          </label>
+          <input
+            id="phone"
+            type="tel"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+            placeholder="e.g., +91 98450 12345"
+            value={profile.phone}
+            onChange={setProfileField('phone')}
+            disabled={isLoading}
+          />
+        </div>
+
+        <div className="hidden md:block" />
+
+        <div>
+          <label htmlFor="emergencyContactName" className="block text-sm font-medium text-gray-700 mb-1">
+            Emergency Contact Name
+          </label>
+          <input
+            id="emergencyContactName"
+            type="text"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+            value={profile.emergency_contact_name}
+            onChange={setProfileField('emergency_contact_name')}
+            disabled={isLoading}
+          />
+        </div>
+
+        <div>
+          <label htmlFor="emergencyContactPhone" className="block text-sm font-medium text-gray-700 mb-1">
+            Emergency Contact Phone
+          </label>
+          <input
+            id="emergencyContactPhone"
+            type="tel"
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+            value={profile.emergency_contact_phone}
+            onChange={setProfileField('emergency_contact_phone')}
+            disabled={isLoading}
+          />
         </div>
       </div>
 
@@ -140,7 +405,7 @@ function PlayerForm({ player, teams, onSubmit, onCancel, isLoading, hideTeamSele
           disabled={isLoading || loadingTeams}
           className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
         >
-          {isLoading ? 'Saving...' : player ? 'Update Player' : 'Add Player'}
+          {isLoading ? 'Saving...' : player ? 'Update Player' : duplicateConfirmed ? 'Add Anyway' : 'Add Player'}
         </button>
         
         <button
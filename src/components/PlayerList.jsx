@@ -1,9 +1,52 @@
 /**
  * PlayerList Component
  * Displays list of players with edit/delete actions
+ *
+ * Leave out onEdit and onDelete for a read-only list; canEdit and
+ * canDelete hide the buttons on rows the user may not change. Names link
+ * to each player's page.
  */
 
-function PlayerList({ players, onEdit, onDelete, isLoading }) {
+import { Link } from 'react-router-dom';
+import PlayerAvatar from './PlayerAvatar';
+
+/**
+ * Column header that toggles sorting by its field
+ * Clicking a new column sorts ascending, clicking again flips the direction.
+ */
+function SortableHeader({ field, label, sort, onSortChange }) {
+  if (!onSortChange) return label;
+
+  const active = sort === field || sort === `-${field}`;
+  const descending = sort === `-${field}`;
+
+  return (
+    <button
+      type="button"
+      onClick={() => onSortChange(active && !descending ? `-${field}` : field)}
+      className={`inline-flex items-center uppercase tracking-wider hover:text-gray-700 ${active ? 'text-gray-900' : ''}`}
+      title={`Sort by ${label.toLowerCase()}`}
+    >
+      {label}
+      <span className="ml-1">{active ? (descending ? '▼' : '▲') : '↕'}</span>
+    </button>
+  );
+}
+
+const allowAll = () => true;
+
+function PlayerList({
+  players,
+  onEdit,
+  onDelete,
+  canEdit = allowAll,
+  canDelete = allowAll,
+  isLoading,
+  sort = '',
+  onSortChange,
+}) {
+  const showActions = Boolean(onEdit || onDelete);
+
   if (isLoading) {
     return (
       <div className="text-center py-12">
@@ -37,14 +80,16 @@ function PlayerList({ players, onEdit, onDelete, isLoading }) {
               #
             </th>
             <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-              Player Name
+              <SortableHeader field="player_name" label="Player Name" sort={sort} onSortChange={onSortChange} />
             </th>
             <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-              Team Name
-            </th>
-            <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
-              Actions
+              <SortableHeader field="team_name" label="Team Name" sort={sort} onSortChange={onSortChange} />
             </th>
+            {showActions && (
+              <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Actions
+              </th>
+            )}
           </tr>
         </thead>
         <tbody className="bg-white divide-y divide-gray-200">
@@ -54,33 +99,47 @@ function PlayerList({ players, onEdit, onDelete, isLoading }) {
                 {index + 1}
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
-                <div className="text-sm font-medium text-gray-900">{player.player_name}</div>
+                <div className="flex items-center gap-3">
+                  <PlayerAvatar player={player} />
+                  <Link
+                    to={`/players/${player.id}`}
+                    className="text-sm font-medium text-gray-900 hover:text-primary-600 hover:underline"
+                  >
+                    {player.player_name}
+                  </Link>
+                </div>
               </td>
               <td className="px-6 py-4 whitespace-nowrap">
                 <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-primary-100 text-primary-800">
                   {player.team_name}
                 </span>
               </td>
-              <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                <button
-                  onClick={() => onEdit(player)}
-                  className="text-primary-600 hover:text-primary-900 mr-4 transition-colors"
-                  title="Edit player"
-                >
-                  <svg className="w-5 h-5 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                  </svg>
-                </button>
-                <button
-                  onClick={() => onDelete(player)}
-                  className="text-red-600 hover:text-red-900 transition-colors"
-                  title="Delete player"
-                >
-                  <svg className="w-5 h-5 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                  </svg>
-                </button>
-              </td>
+              {showActions && (
+                <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                  {onEdit && canEdit(player) && (
+                    <button
+                      onClick={() => onEdit(player)}
+                      className="text-primary-600 hover:text-primary-900 mr-4 transition-colors"
+                      title="Edit player"
+                    >
+                      <svg className="w-5 h-5 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                      </svg>
+                    </button>
+                  )}
+                  {onDelete && canDelete(player) && (
+                    <button
+                      onClick={() => onDelete(player)}
+                      className="text-red-600 hover:text-red-900 transition-colors"
+                      title="Delete player"
+                    >
+                      <svg className="w-5 h-5 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                  )}
+                </td>
+              )}
             </tr>
           ))}
         </tbody>
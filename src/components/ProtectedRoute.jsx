@@ -0,0 +1,25 @@
+/**
+ * ProtectedRoute Component
+ * Route guard: signed-out users go to the login page (and come back here
+ * after signing in), and users without the required permission go back
+ * to the players list
+ */
+
+import { Navigate, useLocation } from 'react-router-dom';
+import { can } from '../utils/permissions';
+
+function ProtectedRoute({ user, permission, children }) {
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (permission && !can(user, permission)) {
+    return <Navigate to="/players" replace />;
+  }
+
+  return children;
+}
+
+export default ProtectedRoute;
@@ -0,0 +1,48 @@
+/**
+ * PublicLayout Component
+ * Header and page frame for the public league pages
+ */
+
+import { Link, NavLink } from 'react-router-dom';
+
+const navLinkClass = ({ isActive }) =>
+  `py-2 px-4 rounded-lg text-sm font-medium transition-all duration-200 ${
+    isActive ? 'bg-white bg-opacity-30 text-white' : 'text-white hover:bg-white hover:bg-opacity-20'
+  }`;
+
+function PublicLayout({ user, children }) {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-primary-50">
+      <nav className="bg-gradient-to-r from-yellow-600 via-yellow-500 to-red-500 shadow-lg">
+        <div className="max-w-7xl mx-auto px-3 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-16">
+            <Link to="/league" className="text-lg sm:text-xl md:text-2xl font-bold text-white drop-shadow-lg">
+              🏏 KPL 2025
+            </Link>
+
+            <div className="flex items-center space-x-1 sm:space-x-2">
+              <NavLink to="/league" end className={navLinkClass}>
+                Teams
+              </NavLink>
+              <NavLink to="/league/players" className={navLinkClass}>
+                Player Pool
+              </NavLink>
+              <Link
+                to={user ? '/players' : '/login'}
+                className="ml-2 inline-flex items-center px-3 sm:px-4 py-2 border-2 border-white text-xs sm:text-sm font-medium rounded-lg text-white bg-white bg-opacity-20 hover:bg-opacity-30 transition-all duration-200"
+              >
+                {user ? 'Dashboard' : 'Organizer sign in'}
+              </Link>
+            </div>
+          </div>
+        </div>
+      </nav>
+
+      <main className="max-w-7xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
+        {children}
+      </main>
+    </div>
+  );
+}
+
+export default PublicLayout;
@@ -0,0 +1,71 @@
+/**
+ * PublicPlayerPool Component
+ * Read-only list of players not yet picked by any team
+ */
+
+import { getErrorMessage } from '../utils/apiErrors';
+import { getRoleLabel } from '../utils/playerRoles';
+import useQuery from '../hooks/useQuery';
+import { queryKeys, fetchPublicGlobalPlayers } from '../services/queries';
+
+function PublicPlayerPool() {
+  const { data: players = [], error, isLoading } = useQuery(
+    queryKeys.publicGlobalPlayers,
+    fetchPublicGlobalPlayers
+  );
+
+  return (
+    <div className="animate-fadeIn">
+      <div className="mb-8">
+        <h2 className="text-3xl font-bold text-gray-900">Player Pool</h2>
+        <p className="mt-1 text-sm text-gray-600">
+          Players who haven't been picked by a team yet
+        </p>
+      </div>
+
+      {isLoading ? (
+        <div className="text-center py-12">
+          <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+        </div>
+      ) : error ? (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded-lg shadow-md">
+          <p className="text-sm text-red-700 font-medium">{getErrorMessage(error, 'Failed to load the player pool')}</p>
+        </div>
+      ) : players.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg shadow-sm">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">Everyone has a team</h3>
+          <p className="text-gray-600">There are no unpicked players right now.</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {players.map((player) => (
+              <div
+                key={player.id}
+                className="bg-white rounded-lg shadow-md p-5 border border-gray-200"
+              >
+                <h4 className="text-lg font-semibold text-gray-900">{player.player_name}</h4>
+                {player.position && (
+                  <p className="text-sm text-gray-600">{getRoleLabel(player.position)}</p>
+                )}
+                {player.jersey_number !== null && (
+                  <span className="inline-flex items-center px-2 py-1 mt-1 rounded text-xs font-medium bg-gray-100 text-gray-800">
+                    #{player.jersey_number}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="mt-6 text-center text-sm text-gray-600">
+            {players.length} player{players.length !== 1 ? 's' : ''} available
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PublicPlayerPool;
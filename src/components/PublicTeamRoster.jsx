@@ -0,0 +1,129 @@
+/**
+ * PublicTeamRoster Component
+ * Read-only squad of one team, grouped by position
+ */
+
+import { Link, useParams } from 'react-router-dom';
+import { getErrorKind, getErrorMessage } from '../utils/apiErrors';
+import { groupPlayersByPosition } from '../utils/roster';
+import useQuery from '../hooks/useQuery';
+import { queryKeys, fetchPublicTeam } from '../services/queries';
+
+function PublicTeamRoster() {
+  const { teamId } = useParams();
+  const { data: team, error, isLoading } = useQuery(
+    queryKeys.publicTeam(teamId),
+    (options) => fetchPublicTeam(teamId, options)
+  );
+  const players = team?.players || [];
+  const playersByPosition = groupPlayersByPosition(players);
+
+  const backLink = (
+    <Link to="/league" className="mb-4 inline-flex items-center text-gray-600 hover:text-gray-900 transition-colors">
+      <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 19l-7-7 7-7" />
+      </svg>
+      All Teams
+    </Link>
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <div className="text-center">
+          <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+          </svg>
+          <p className="text-gray-600">Loading squad...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !team) {
+    return (
+      <div>
+        {backLink}
+        <div className="text-center py-20 bg-white rounded-2xl shadow-sm">
+          <p className="text-gray-600">
+            {getErrorKind(error) === 'not_found' || !error
+              ? 'This team does not exist.'
+              : getErrorMessage(error, 'Failed to load the team')}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="animate-fadeIn">
+      <div className="mb-8">
+        {backLink}
+
+        <div
+          className="bg-gradient-to-r from-white to-gray-50 rounded-2xl shadow-lg p-8 border-l-8"
+          style={{ borderLeftColor: team.team_color }}
+        >
+          <div className="flex items-center space-x-4">
+            <div
+              className="w-20 h-20 rounded-full flex items-center justify-center text-5xl shadow-xl"
+              style={{ backgroundColor: `${team.team_color}15` }}
+            >
+              {team.team_logo}
+            </div>
+            <div>
+              <h1 className="text-4xl font-bold text-gray-900 mb-2">{team.team_name}</h1>
+              {team.description && (
+                <p className="text-gray-600">{team.description}</p>
+              )}
+              <p className="text-sm text-gray-500 mt-2">
+                {players.length} {players.length === 1 ? 'Player' : 'Players'}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {players.length === 0 ? (
+        <div className="text-center py-20 bg-white rounded-2xl shadow-sm">
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">No players yet</h3>
+          <p className="text-gray-600">The squad hasn't been announced.</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {Object.entries(playersByPosition).map(([position, positionPlayers]) => (
+            <div key={position} className="bg-white rounded-xl shadow-md overflow-hidden">
+              <div
+                className="px-6 py-3 text-white font-semibold text-lg"
+                style={{ backgroundColor: team.team_color }}
+              >
+                {position}
+              </div>
+              <div className="divide-y divide-gray-200">
+                {positionPlayers.map((player) => (
+                  <div key={player.id} className="px-6 py-4 flex items-center space-x-4">
+                    {player.jersey_number !== null && (
+                      <div
+                        className="w-12 h-12 rounded-lg flex items-center justify-center font-bold text-white text-lg shadow-md"
+                        style={{ backgroundColor: team.team_color }}
+                      >
+                        {player.jersey_number}
+                      </div>
+                    )}
+                    <div>
+                      <p className="font-semibold text-gray-900">{player.player_name}</p>
+                      <p className="text-sm text-gray-500">{position}</p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PublicTeamRoster;
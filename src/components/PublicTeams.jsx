@@ -0,0 +1,41 @@
+/**
+ * PublicTeams Component
+ * Read-only team grid for visitors who aren't signed in
+ */
+
+import { useNavigate } from 'react-router-dom';
+import { getErrorMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import { queryKeys, fetchPublicTeams } from '../services/queries';
+import TeamGrid from './TeamGrid';
+
+function PublicTeams() {
+  const navigate = useNavigate();
+  const { data: teams = [], error, isLoading } = useQuery(queryKeys.publicTeams, fetchPublicTeams);
+
+  return (
+    <div className="animate-fadeIn">
+      <div className="mb-8">
+        <h2 className="text-3xl font-bold text-gray-900">Teams</h2>
+        <p className="mt-1 text-sm text-gray-600">
+          Every team in the league. Pick one to see its squad.
+        </p>
+      </div>
+
+      {error ? (
+        <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded-lg shadow-md">
+          <p className="text-sm text-red-700 font-medium">{getErrorMessage(error, 'Failed to load teams')}</p>
+        </div>
+      ) : (
+        <TeamGrid
+          teams={teams}
+          onTeamClick={(team) => navigate(`/league/teams/${team.id}`)}
+          isLoading={isLoading}
+          readOnly
+        />
+      )}
+    </div>
+  );
+}
+
+export default PublicTeams;
@@ -0,0 +1,113 @@
+/**
+ * ReauthModal Component
+ * Asks for the password again when the session expires, then lets the
+ * interrupted requests continue so no form input is lost
+ */
+
+import { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import {
+  completeReauth,
+  isReauthRequired,
+  setSession,
+  subscribeSession,
+} from '../services/session';
+import { getErrorMessage } from '../utils/apiErrors';
+
+function ReauthModal({ user }) {
+  const [open, setOpen] = useState(isReauthRequired());
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => subscribeSession(() => setOpen(isReauthRequired())), []);
+
+  // Start each prompt with a clean form
+  useEffect(() => {
+    if (open) {
+      setPassword('');
+      setError('');
+    }
+  }, [open]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authAPI.login(user.username, password);
+      if (response.data.success) {
+        setSession(response.data);
+        completeReauth(true);
+      }
+    } catch (err) {
+      setError(getErrorMessage(err, 'Sign in failed. Please check your password.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    completeReauth(false);
+  };
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl max-w-md w-full p-6 animate-fadeIn">
+        <h3 className="text-xl font-bold text-gray-900">Session expired</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          Sign in again as <span className="font-medium">{user.username}</span> to continue.
+          Your unsaved changes are kept.
+        </p>
+
+        <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3 rounded animate-fadeIn">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="reauthPassword" className="block text-sm font-medium text-gray-700 mb-1">
+              Password
+            </label>
+            <input
+              id="reauthPassword"
+              type="password"
+              autoComplete="current-password"
+              required
+              autoFocus
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={loading}
+            />
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={loading || !password}
+              className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {loading ? 'Signing in...' : 'Sign in'}
+            </button>
+            <button
+              type="button"
+              onClick={handleSignOut}
+              disabled={loading}
+              className="flex-1 py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              Sign out
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ReauthModal;
@@ -0,0 +1,190 @@
+/**
+ * RoleMigration Component
+ * Moves positions typed before the role catalogue existed onto catalogue
+ * roles (admins only)
+ *
+ * Every stored position that isn't exactly a catalogue name is listed
+ * with the players using it and a suggested role. Nothing changes until
+ * the admin applies the mapping.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { getErrorMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import { playersAPI } from '../services/api';
+import { queryKeys, fetchPlayers, invalidatePlayerQueries } from '../services/queries';
+import { runWithConcurrency, DEFAULT_CONCURRENCY } from '../utils/bulkImport';
+import { ROLE_NAMES, isCatalogueRole, resolveRole } from '../utils/playerRoles';
+
+// Mapping choices besides the catalogue roles
+const LEAVE = '';
+const CLEAR = '__clear__';
+
+/**
+ * Collect the positions that aren't catalogue names yet
+ * @param {Array} players - Every player
+ * @returns {Array} [{ position, players, suggestion }], most used first
+ */
+const findLegacyPositions = (players) => {
+  const byPosition = new Map();
+  players.forEach((player) => {
+    if (!player.position || isCatalogueRole(player.position)) return;
+    if (!byPosition.has(player.position)) byPosition.set(player.position, []);
+    byPosition.get(player.position).push(player);
+  });
+  return [...byPosition.entries()]
+    .map(([position, positionPlayers]) => ({
+      position,
+      players: positionPlayers,
+      suggestion: resolveRole(position) || LEAVE,
+    }))
+    .sort((a, b) => b.players.length - a.players.length || a.position.localeCompare(b.position));
+};
+
+function RoleMigration({ onSuccess, onError }) {
+  const [mapping, setMapping] = useState({});
+  const [progress, setProgress] = useState(null);
+
+  const { data: players = [], error: loadError, isLoading: loading } = useQuery(
+    queryKeys.allPlayers,
+    (options) => fetchPlayers({}, options)
+  );
+  const legacy = useMemo(() => findLegacyPositions(players), [players]);
+
+  // Report load failures
+  useEffect(() => {
+    if (loadError && onError) onError(getErrorMessage(loadError, 'Failed to load players'));
+  }, [loadError]);
+
+  const targetFor = (entry) => mapping[entry.position] ?? entry.suggestion;
+
+  const changes = legacy
+    .filter((entry) => targetFor(entry) !== LEAVE)
+    .flatMap((entry) => entry.players.map((player) => ({
+      player,
+      position: targetFor(entry) === CLEAR ? null : targetFor(entry),
+    })));
+
+  const handleApply = async () => {
+    if (changes.length === 0) return;
+    if (!window.confirm(`Update the role of ${changes.length} player(s)?`)) return;
+
+    const failed = [];
+    let done = 0;
+    setProgress({ done, total: changes.length });
+
+    // Saved one by one without optimistic updates, then every view is
+    // refreshed once at the end instead of after each player
+    await runWithConcurrency(
+      changes.map(({ player, position }) => async () => {
+        try {
+          await playersAPI.update(player.id, {
+            player_name: player.player_name,
+            position,
+            jersey_number: player.jersey_number,
+            team_id: player.team_id,
+          });
+        } catch (err) {
+          failed.push(`${player.player_name}: ${getErrorMessage(err, 'update failed')}`);
+        }
+        done += 1;
+        setProgress({ done, total: changes.length });
+      }),
+      DEFAULT_CONCURRENCY
+    );
+    invalidatePlayerQueries(...changes.map(({ player }) => player.team_id));
+
+    setProgress(null);
+    setMapping({});
+    const updated = changes.length - failed.length;
+    if (failed.length === 0) {
+      if (onSuccess) onSuccess(`Updated the role of ${updated} player(s).`);
+    } else if (onError) {
+      onError(`Updated ${updated} player(s); ${failed.length} failed. ${failed.join('; ')}`);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="mb-6">
+        <h2 className="text-3xl font-bold text-gray-900">Player Roles</h2>
+        <p className="mt-1 text-sm text-gray-600">
+          Roles: {ROLE_NAMES.join(', ')}. Map positions typed before this list onto it.
+        </p>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12">
+            <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <p className="mt-4 text-gray-600">Loading players...</p>
+          </div>
+        ) : legacy.length === 0 ? (
+          <div className="text-center py-12">
+            <h3 className="text-sm font-medium text-gray-900">Every position is on the role list</h3>
+            <p className="mt-1 text-sm text-gray-500">There is nothing to migrate.</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Position as typed</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Players</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Change to</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {legacy.map((entry) => (
+                <tr key={entry.position} className="hover:bg-gray-50 transition-colors">
+                  <td className="px-6 py-4 text-sm font-medium text-gray-900 whitespace-pre">"{entry.position}"</td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    <span className="font-medium text-gray-900">{entry.players.length}</span>{' '}
+                    <span title={entry.players.map((player) => player.player_name).join(', ')}>
+                      ({entry.players.slice(0, 3).map((player) => player.player_name).join(', ')}
+                      {entry.players.length > 3 ? ', ...' : ''})
+                    </span>
+                  </td>
+                  <td className="px-6 py-4">
+                    <select
+                      aria-label={`New role for ${entry.position}`}
+                      value={targetFor(entry)}
+                      onChange={(e) => setMapping((current) => ({ ...current, [entry.position]: e.target.value }))}
+                      disabled={progress !== null}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 text-sm"
+                    >
+                      <option value={LEAVE}>Leave as is</option>
+                      <option value={CLEAR}>Clear the role</option>
+                      {ROLE_NAMES.map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {legacy.length > 0 && (
+        <div className="mt-4 flex items-center justify-end gap-4">
+          {progress && (
+            <p className="text-sm text-gray-600">Updating {progress.done} of {progress.total}...</p>
+          )}
+          <button
+            onClick={handleApply}
+            disabled={changes.length === 0 || progress !== null}
+            className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            Update {changes.length} player(s)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RoleMigration;
@@ -0,0 +1,29 @@
+/**
+ * ServerWakeBanner Component
+ * Global notice shown while requests wait for a sleeping backend
+ */
+
+import { useState, useEffect } from 'react';
+import { isServerWaking, subscribeServerStatus } from '../services/serverStatus';
+
+function ServerWakeBanner() {
+  const [waking, setWaking] = useState(isServerWaking());
+
+  useEffect(() => subscribeServerStatus(setWaking), []);
+
+  if (!waking) return null;
+
+  return (
+    <div className="fixed top-0 inset-x-0 z-50 flex justify-center pointer-events-none animate-fadeIn">
+      <div className="mt-3 flex items-center bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm font-medium px-4 py-2 rounded-full shadow-lg">
+        <svg className="animate-spin h-4 w-4 mr-2 text-yellow-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+        </svg>
+        Waking up server… this can take up to a minute.
+      </div>
+    </div>
+  );
+}
+
+export default ServerWakeBanner;
@@ -0,0 +1,147 @@
+/**
+ * Setup Component
+ * First-run flow that creates the league's admin account, so there is
+ * never a default password to sign in with
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { setSession } from '../services/session';
+import { getErrorMessage } from '../utils/apiErrors';
+import { MIN_PASSWORD_LENGTH, validatePassword } from '../utils/passwords';
+
+const inputClass = 'appearance-none relative block w-full px-3 py-3 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition';
+
+function Setup({ onLogin }) {
+  const [username, setUsername] = useState('admin');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+
+  // Only the very first visit gets here; afterwards it is a normal sign in
+  useEffect(() => {
+    let cancelled = false;
+    authAPI.getSetupStatus()
+      .then((response) => {
+        if (!cancelled && !response.data.setup_required) navigate('/login', { replace: true });
+      })
+      .catch(() => {
+        if (!cancelled) navigate('/login', { replace: true });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [navigate]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const problem = validatePassword(password, username.trim());
+    if (problem || password !== confirmPassword) {
+      setError(problem || 'The passwords do not match');
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authAPI.setup(username.trim(), password);
+      if (response.data.success) {
+        setSession(response.data);
+        onLogin(response.data.user);
+        navigate('/players');
+      }
+    } catch (err) {
+      setError(getErrorMessage(err, 'Setup failed. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-500 to-primary-700 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 bg-white p-10 rounded-xl shadow-2xl animate-fadeIn">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Set up KPL Player List
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Create the admin account. You can add organizers and team owners once you are in.
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded animate-fadeIn">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="setupUsername" className="block text-sm font-medium text-gray-700 mb-1">
+                Admin username
+              </label>
+              <input
+                id="setupUsername"
+                type="text"
+                autoComplete="username"
+                required
+                className={inputClass}
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="setupPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Password <span className="text-gray-500 text-xs">(at least {MIN_PASSWORD_LENGTH} characters)</span>
+              </label>
+              <input
+                id="setupPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                className={inputClass}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="setupConfirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Confirm password
+              </label>
+              <input
+                id="setupConfirmPassword"
+                type="password"
+                autoComplete="new-password"
+                required
+                className={inputClass}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                disabled={loading}
+              />
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            {loading ? 'Creating admin...' : 'Create admin and sign in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Setup;
@@ -1,11 +1,16 @@
 /**
  * TeamGrid Component
  * Modern grid layout for displaying team cards
+ *
+ * canEdit and canDelete decide per team whether its buttons show;
+ * readOnly drops the hint about creating teams from the empty state.
  */
 
 import TeamCard from './TeamCard';
 
-function TeamGrid({ teams, onTeamClick, onEdit, onDelete, isLoading }) {
+const allowAll = () => true;
+
+function TeamGrid({ teams, onTeamClick, onEdit, onDelete, canEdit = allowAll, canDelete = allowAll, isLoading, readOnly = false }) {
   if (isLoading) {
     return (
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
@@ -35,10 +40,16 @@ function TeamGrid({ teams, onTeamClick, onEdit, onDelete, isLoading }) {
           </svg>
         </div>
         <h3 className="text-2xl font-bold text-gray-900 mb-2">No teams yet</h3>
-        <p className="text-gray-600 mb-6">Create your first team to get started!</p>
-        <div className="text-sm text-gray-500">
-          Click the "Add New Team" button above to create a team.
-        </div>
+        {readOnly ? (
+          <p className="text-gray-600">Check back once the organizers have announced the teams.</p>
+        ) : (
+          <>
+            <p className="text-gray-600 mb-6">Create your first team to get started!</p>
+            <div className="text-sm text-gray-500">
+              Click the "Add New Team" button above to create a team.
+            </div>
+          </>
+        )}
       </div>
     );
   }
@@ -50,8 +61,8 @@ function TeamGrid({ teams, onTeamClick, onEdit, onDelete, isLoading }) {
           key={team.id}
           team={team}
           onClick={onTeamClick}
-          onEdit={onEdit}
-          onDelete={onDelete}
+          onEdit={canEdit(team) ? onEdit : undefined}
+          onDelete={canDelete(team) ? onDelete : undefined}
         />
       ))}
     </div>
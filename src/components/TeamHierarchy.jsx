@@ -4,42 +4,62 @@
  */
 
 import { useState, useEffect } from 'react';
-import { teamsAPI, playersAPI } from '../services/api';
+import { Link } from 'react-router-dom';
+import { playersAPI } from '../services/api';
+import { getErrorMessage, getRollbackMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import {
+  queryKeys,
+  fetchTeamHierarchy,
+  fetchGlobalPlayers,
+  invalidatePlayerQueries,
+} from '../services/queries';
+import { assignPlayer, unassignPlayer, updatePlayer, deletePlayer } from '../services/mutations';
+import { undoAction, getTrashId, restorePlayer, reassignPlayer } from '../services/undo';
 import PlayerForm from './PlayerForm';
+import PlayerAvatar from './PlayerAvatar';
+import JerseyClashModal from './JerseyClashModal';
 import { exportTeamPlayersToPDF } from '../utils/pdfExport';
+import { can } from '../utils/permissions';
+import { getRoleLabel } from '../utils/playerRoles';
+import { groupPlayersByPosition } from '../utils/roster';
+import { findJerseyConflict } from '../utils/jerseys';
 
-function TeamHierarchy({ teamId, onBack, onSuccess }) {
-  const [team, setTeam] = useState(null);
-  const [players, setPlayers] = useState([]);
-  const [globalPlayers, setGlobalPlayers] = useState([]);
-  const [loading, setLoading] = useState(true);
+function TeamHierarchy({ user, teamId, onBack, onSuccess }) {
   const [showPlayerForm, setShowPlayerForm] = useState(false);
   const [showGlobalPlayers, setShowGlobalPlayers] = useState(false);
   const [editingPlayer, setEditingPlayer] = useState(null);
   const [formLoading, setFormLoading] = useState(false);
   const [error, setError] = useState('');
+  const [jerseyClash, setJerseyClash] = useState(null);
 
+  // Keyed by team, so a slow response for a previous team never shows here
+  const hierarchyQuery = useQuery(
+    queryKeys.teamHierarchy(teamId),
+    (options) => fetchTeamHierarchy(teamId, options)
+  );
+  const globalQuery = useQuery(queryKeys.globalPlayers, fetchGlobalPlayers);
+  const team = hierarchyQuery.data || null;
+  const players = team?.players || [];
+  const globalPlayers = globalQuery.data || [];
+  const loading = hierarchyQuery.isLoading || globalQuery.isLoading;
+  const loadError = hierarchyQuery.error || globalQuery.error;
+  const canAddPlayers = can(user, 'player:create', { team_id: teamId });
+  const canAssignGlobal = can(user, 'player:assign', { team_id: null }, teamId);
+
+  // Don't carry messages, forms or dialogs over from the previous team
   useEffect(() => {
-    loadTeamHierarchy();
+    setError('');
+    setShowPlayerForm(false);
+    setEditingPlayer(null);
+    setShowGlobalPlayers(false);
+    setJerseyClash(null);
   }, [teamId]);
 
-  const loadTeamHierarchy = async () => {
-    try {
-      setLoading(true);
-      const [hierarchyRes, globalRes] = await Promise.all([
-        teamsAPI.getHierarchy(teamId),
-        playersAPI.getGlobal()
-      ]);
-      setTeam(hierarchyRes.data.data);
-      setPlayers(hierarchyRes.data.data.players || []);
-      setGlobalPlayers(globalRes.data.data);
-    } catch (err) {
-      setError('Failed to load team details');
-      console.error('Load team hierarchy error:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Report load failures
+  useEffect(() => {
+    if (loadError) setError(getErrorMessage(loadError, 'Failed to load team details'));
+  }, [loadError]);
 
   const handleAddPlayer = () => {
     setEditingPlayer(null);
@@ -57,36 +77,53 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
     }
 
     try {
-      await playersAPI.delete(player.id);
-      await loadTeamHierarchy();
-      if (onSuccess) onSuccess('Player removed successfully!');
+      setError('');
+      const trashId = getTrashId(await deletePlayer(player));
+      if (onSuccess) {
+        onSuccess(
+          trashId !== null ? 'Player moved to trash.' : 'Player removed successfully!',
+          undoAction(() => restorePlayer(player, trashId), `${player.player_name} restored.`)
+        );
+      }
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to delete player');
+      setError(getRollbackMessage(err, `Failed to delete ${player.player_name}.`));
       console.error('Delete player error:', err);
     }
   };
 
   const handlePlayerFormSubmit = async (playerData) => {
-    try {
-      setFormLoading(true);
-      setError('');
+    setError('');
 
-      // Add team_id to player data
-      const dataWithTeam = { ...playerData, team_id: teamId };
+    // Add team_id to player data
+    const dataWithTeam = { ...playerData, team_id: teamId };
 
-      if (editingPlayer) {
-        await playersAPI.update(editingPlayer.id, dataWithTeam);
+    if (editingPlayer) {
+      // Shown in the roster right away; the form stays open until the server accepts it
+      const player = editingPlayer;
+      setFormLoading(true);
+      try {
+        await updatePlayer(player, dataWithTeam);
         if (onSuccess) onSuccess('Player updated successfully!');
-      } else {
-        await playersAPI.create(dataWithTeam);
-        if (onSuccess) onSuccess('Player added successfully!');
+        setShowPlayerForm(false);
+        setEditingPlayer(null);
+      } catch (err) {
+        setError(getErrorMessage(err, `Failed to update ${player.player_name}.`));
+        console.error('Update player error:', err);
+      } finally {
+        setFormLoading(false);
       }
+      return;
+    }
+
+    try {
+      setFormLoading(true);
+      await playersAPI.create(dataWithTeam);
+      if (onSuccess) onSuccess('Player added successfully!');
 
-      await loadTeamHierarchy();
+      invalidatePlayerQueries(teamId);
       setShowPlayerForm(false);
-      setEditingPlayer(null);
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to save player');
+      setError(getErrorMessage(err, 'Failed to save player'));
       console.error('Save player error:', err);
     } finally {
       setFormLoading(false);
@@ -99,13 +136,20 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
     setError('');
   };
 
-  const handleAssignGlobalPlayer = async (player) => {
+  const handleAssignGlobalPlayer = async (player, jerseyNumber) => {
+    // Ask for another number first when a teammate already wears theirs
+    if (jerseyNumber === undefined && findJerseyConflict(player.jersey_number, players, { excludeId: player.id })) {
+      setJerseyClash(player);
+      return;
+    }
+
     try {
-      await playersAPI.assignToTeam(player.id, teamId);
-      await loadTeamHierarchy();
+      setError('');
+      setJerseyClash(null);
+      await assignPlayer(player, teamId, jerseyNumber);
       if (onSuccess) onSuccess(`${player.player_name} added to team!`);
     } catch (err) {
-      setError('Failed to assign player');
+      setError(getRollbackMessage(err, `Failed to assign ${player.player_name}.`));
       console.error('Assign player error:', err);
     }
   };
@@ -116,30 +160,29 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
     }
 
     try {
-      await playersAPI.unassignFromTeam(player.id);
-      await loadTeamHierarchy();
-      if (onSuccess) onSuccess('Player removed from team!');
+      setError('');
+      await unassignPlayer(player);
+      if (onSuccess) {
+        onSuccess(
+          'Player removed from team!',
+          undoAction(() => reassignPlayer(player), `${player.player_name} is back in ${team.team_name}.`)
+        );
+      }
     } catch (err) {
-      setError('Failed to remove player');
+      setError(getRollbackMessage(err, `Failed to remove ${player.player_name} from the team.`));
       console.error('Remove player error:', err);
     }
   };
 
   const handleExportPDF = () => {
     if (!team) return;
-    exportTeamPlayersToPDF(team, players);
+    exportTeamPlayersToPDF(team, players, {
+      includeContact: can(user, 'player:contact', { team_id: teamId }),
+    });
     if (onSuccess) onSuccess('Team roster exported to PDF successfully!');
   };
 
-  // Group players by position
-  const playersByPosition = players.reduce((acc, player) => {
-    const position = player.position || 'Unassigned';
-    if (!acc[position]) {
-      acc[position] = [];
-    }
-    acc[position].push(player);
-    return acc;
-  }, {});
+  const playersByPosition = groupPlayersByPosition(players);
 
   if (loading) {
     return (
@@ -215,16 +258,18 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
                 </svg>
                 Export PDF
               </button>
-              <button
-                onClick={handleAddPlayer}
-                className="inline-flex items-center px-6 py-3 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
-              >
-                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                </svg>
-                Add New Player
-              </button>
-              {globalPlayers.length > 0 && (
+              {canAddPlayers && (
+                <button
+                  onClick={handleAddPlayer}
+                  className="inline-flex items-center px-6 py-3 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+                >
+                  <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                  </svg>
+                  Add New Player
+                </button>
+              )}
+              {canAssignGlobal && globalPlayers.length > 0 && (
                 <button
                   onClick={() => setShowGlobalPlayers(!showGlobalPlayers)}
                   className="inline-flex items-center px-6 py-3 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
@@ -255,6 +300,7 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
           </h3>
           <PlayerForm
             player={editingPlayer}
+            roster={players}
             onSubmit={handlePlayerFormSubmit}
             onCancel={handleCancelPlayerForm}
             isLoading={formLoading}
@@ -264,7 +310,7 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
       )}
 
       {/* Global Players Selection */}
-      {showGlobalPlayers && globalPlayers.length > 0 && (
+      {showGlobalPlayers && canAssignGlobal && globalPlayers.length > 0 && (
         <div className="mb-8 bg-green-50 p-6 rounded-lg shadow-lg border-2 border-green-200 animate-fadeIn">
           <div className="flex justify-between items-center mb-4">
             <h3 className="text-lg font-medium text-gray-900">
@@ -288,12 +334,18 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
               >
                 <p className="font-semibold text-gray-900">{player.player_name}</p>
                 {player.position && (
-                  <p className="text-sm text-gray-600">{player.position}</p>
+                  <p className="text-sm text-gray-600">{getRoleLabel(player.position)}</p>
                 )}
-                {player.jersey_number && (
-                  <span className="inline-block mt-1 px-2 py-1 text-xs bg-gray-100 rounded">
-                    #{player.jersey_number}
-                  </span>
+                {player.jersey_number !== null && (
+                  findJerseyConflict(player.jersey_number, players, { excludeId: player.id }) ? (
+                    <span className="inline-block mt-1 px-2 py-1 text-xs bg-yellow-100 text-yellow-800 rounded" title="Someone in the team already wears this number">
+                      #{player.jersey_number} taken
+                    </span>
+                  ) : (
+                    <span className="inline-block mt-1 px-2 py-1 text-xs bg-gray-100 rounded">
+                      #{player.jersey_number}
+                    </span>
+                  )
                 )}
               </button>
             ))}
@@ -337,40 +389,52 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
                           {player.jersey_number}
                         </div>
                       )}
+                      <PlayerAvatar player={player} size="md" color={team.team_color} />
                       <div>
-                        <p className="font-semibold text-gray-900">{player.player_name}</p>
+                        <Link
+                          to={`/players/${player.id}`}
+                          className="font-semibold text-gray-900 hover:text-primary-600 hover:underline"
+                        >
+                          {player.player_name}
+                        </Link>
                         <p className="text-sm text-gray-500">{position}</p>
                       </div>
                     </div>
                     
                     <div className="flex space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                      <button
-                        onClick={() => handleEditPlayer(player)}
-                        className="p-2 rounded-lg bg-primary-50 text-primary-600 hover:bg-primary-100 transition-colors"
-                        title="Edit player"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                        </svg>
-                      </button>
-                      <button
-                        onClick={() => handleRemoveFromTeam(player)}
-                        className="p-2 rounded-lg bg-orange-50 text-orange-600 hover:bg-orange-100 transition-colors"
-                        title="Remove from team"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7a4 4 0 11-8 0 4 4 0 018 0zM9 14a6 6 0 00-6 6v1h12v-1a6 6 0 00-6-6zM21 12h-6" />
-                        </svg>
-                      </button>
-                      <button
-                        onClick={() => handleDeletePlayer(player)}
-                        className="p-2 rounded-lg bg-red-50 text-red-600 hover:bg-red-100 transition-colors"
-                        title="Delete player"
-                      >
-                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
-                      </button>
+                      {can(user, 'player:update', player) && (
+                        <button
+                          onClick={() => handleEditPlayer(player)}
+                          className="p-2 rounded-lg bg-primary-50 text-primary-600 hover:bg-primary-100 transition-colors"
+                          title="Edit player"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                          </svg>
+                        </button>
+                      )}
+                      {can(user, 'player:unassign', player) && (
+                        <button
+                          onClick={() => handleRemoveFromTeam(player)}
+                          className="p-2 rounded-lg bg-orange-50 text-orange-600 hover:bg-orange-100 transition-colors"
+                          title="Remove from team"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7a4 4 0 11-8 0 4 4 0 018 0zM9 14a6 6 0 00-6 6v1h12v-1a6 6 0 00-6-6zM21 12h-6" />
+                          </svg>
+                        </button>
+                      )}
+                      {can(user, 'player:delete', player) && (
+                        <button
+                          onClick={() => handleDeletePlayer(player)}
+                          className="p-2 rounded-lg bg-red-50 text-red-600 hover:bg-red-100 transition-colors"
+                          title="Delete player"
+                        >
+                          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -379,6 +443,16 @@ function TeamHierarchy({ teamId, onBack, onSuccess }) {
           ))}
         </div>
       )}
+
+      {jerseyClash && (
+        <JerseyClashModal
+          player={jerseyClash}
+          team={team}
+          roster={players}
+          onAssign={(jerseyNumber) => handleAssignGlobalPlayer(jerseyClash, jerseyNumber)}
+          onCancel={() => setJerseyClash(null)}
+        />
+      )}
     </div>
   );
 }
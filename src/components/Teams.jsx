@@ -1,45 +1,49 @@
 /**
  * Teams Component
  * Main component for managing teams
+ *
+ * Routed: /teams lists the teams, /teams/:teamId shows one team and
+ * /global-players the players without a team.
  */
 
 import { useState, useEffect } from 'react';
+import { Navigate, useNavigate, useParams } from 'react-router-dom';
 import { teamsAPI } from '../services/api';
+import { getErrorMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import {
+  queryKeys,
+  fetchTeams,
+  fetchTeamHierarchy,
+  invalidateTeamQueries,
+  invalidateDeletedTeamQueries,
+} from '../services/queries';
 import TeamGrid from './TeamGrid';
 import TeamForm from './TeamForm';
 import TeamHierarchy from './TeamHierarchy';
 import GlobalPlayers from './GlobalPlayers';
 import { exportAllTeamsToPDF } from '../utils/pdfExport';
+import { undoAction, getTrashId, restoreTeam } from '../services/undo';
+import { can } from '../utils/permissions';
 
-function Teams({ onSuccess, onError }) {
-  const [teams, setTeams] = useState([]);
-  const [loading, setLoading] = useState(true);
+/**
+ * @param {string} view - 'teams' or 'global-players'
+ */
+function Teams({ user, view = 'teams', onSuccess, onError }) {
+  const navigate = useNavigate();
+  const params = useParams();
   const [formLoading, setFormLoading] = useState(false);
   const [showForm, setShowForm] = useState(false);
   const [editingTeam, setEditingTeam] = useState(null);
-  const [selectedTeamId, setSelectedTeamId] = useState(null);
-  const [activeTab, setActiveTab] = useState('teams'); // 'teams' or 'global'
+  const selectedTeamId = params.teamId === undefined ? null : Number(params.teamId);
+  const activeTab = view === 'global-players' ? 'global' : 'teams';
 
-  // Load teams on component mount
-  useEffect(() => {
-    loadTeams();
-  }, []);
+  const { data: teams = [], error: loadError, isLoading: loading } = useQuery(queryKeys.teams, fetchTeams);
 
-  /**
-   * Load all teams from API
-   */
-  const loadTeams = async () => {
-    try {
-      setLoading(true);
-      const response = await teamsAPI.getAll();
-      setTeams(response.data.data);
-    } catch (err) {
-      if (onError) onError('Failed to load teams');
-      console.error('Load teams error:', err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Report load failures
+  useEffect(() => {
+    if (loadError && onError) onError(getErrorMessage(loadError, 'Failed to load teams'));
+  }, [loadError]);
 
   /**
    * Handle form submission (add or update team)
@@ -58,12 +62,12 @@ function Teams({ onSuccess, onError }) {
         if (onSuccess) onSuccess('Team created successfully!');
       }
 
-      // Reload teams and close form
-      await loadTeams();
+      // Refresh views showing this team and close form
+      invalidateTeamQueries(editingTeam?.id);
       setShowForm(false);
       setEditingTeam(null);
     } catch (err) {
-      if (onError) onError(err.response?.data?.message || 'Failed to save team');
+      if (onError) onError(getErrorMessage(err, 'Failed to save team'));
       console.error('Save team error:', err);
     } finally {
       setFormLoading(false);
@@ -74,7 +78,7 @@ function Teams({ onSuccess, onError }) {
    * Handle team card click - show hierarchy
    */
   const handleTeamClick = (team) => {
-    setSelectedTeamId(team.id);
+    navigate(`/teams/${team.id}`);
   };
 
   /**
@@ -89,16 +93,27 @@ function Teams({ onSuccess, onError }) {
    * Handle delete button click
    */
   const handleDelete = async (team) => {
-    if (!window.confirm(`Are you sure you want to delete ${team.team_name}? This will also delete all players in this team.`)) {
+    if (!window.confirm(`Are you sure you want to delete ${team.team_name}? The team and all its players will be moved to the trash.`)) {
       return;
     }
 
     try {
-      await teamsAPI.delete(team.id);
-      if (onSuccess) onSuccess('Team deleted successfully!');
-      await loadTeams();
+      // Keep the full roster so the delete can be undone
+      const snapshot = await fetchTeamHierarchy(team.id);
+      const response = await teamsAPI.delete(team.id);
+      const trashId = getTrashId(response);
+      if (onSuccess) {
+        onSuccess(
+          trashId !== null ? 'Team moved to trash.' : 'Team deleted successfully!',
+          undoAction(
+            () => restoreTeam(snapshot, trashId),
+            `${snapshot.team_name} and ${snapshot.players.length} player(s) restored.`
+          )
+        );
+      }
+      invalidateDeletedTeamQueries(team.id);
     } catch (err) {
-      if (onError) onError(err.response?.data?.message || 'Failed to delete team');
+      if (onError) onError(getErrorMessage(err, 'Failed to delete team'));
       console.error('Delete team error:', err);
     }
   };
@@ -132,14 +147,19 @@ function Teams({ onSuccess, onError }) {
    * Handle back from team hierarchy
    */
   const handleBackFromHierarchy = () => {
-    setSelectedTeamId(null);
-    loadTeams(); // Reload to update player counts
+    navigate('/teams');
   };
 
+  // Not a team id, e.g. a mistyped link
+  if (selectedTeamId !== null && !Number.isInteger(selectedTeamId)) {
+    return <Navigate to="/teams" replace />;
+  }
+
   // If viewing a specific team, show hierarchy
-  if (selectedTeamId) {
+  if (selectedTeamId !== null) {
     return (
       <TeamHierarchy
+        user={user}
         teamId={selectedTeamId}
         onBack={handleBackFromHierarchy}
         onSuccess={onSuccess}
@@ -153,7 +173,7 @@ function Teams({ onSuccess, onError }) {
       <div className="mb-6 border-b border-gray-200">
         <nav className="flex space-x-8">
           <button
-            onClick={() => setActiveTab('teams')}
+            onClick={() => navigate('/teams')}
             className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
               activeTab === 'teams'
                 ? 'border-primary-500 text-primary-600'
@@ -166,7 +186,7 @@ function Teams({ onSuccess, onError }) {
             Teams ({teams.length})
           </button>
           <button
-            onClick={() => setActiveTab('global')}
+            onClick={() => navigate('/global-players')}
             className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
               activeTab === 'global'
                 ? 'border-green-500 text-green-600'
@@ -188,7 +208,10 @@ function Teams({ onSuccess, onError }) {
             <div>
               <h2 className="text-3xl font-bold text-gray-900">Teams</h2>
               <p className="mt-1 text-sm text-gray-600">
-                Manage your teams and players
+                Manage your teams and players ·{' '}
+                <a href="/league" target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:text-primary-700 font-medium">
+                  Public page ↗
+                </a>
               </p>
             </div>
             <div className="flex space-x-3 mt-4 sm:mt-0">
@@ -203,15 +226,17 @@ function Teams({ onSuccess, onError }) {
                 </svg>
                 Export PDF
               </button>
-              <button
-                onClick={handleAddNew}
-                className="inline-flex items-center px-6 py-3 border border-transparent rounded-lg shadow-lg text-sm font-medium text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200 transform hover:scale-105"
-              >
-                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                </svg>
-                Add New Team
-              </button>
+              {can(user, 'team:create') && (
+                <button
+                  onClick={handleAddNew}
+                  className="inline-flex items-center px-6 py-3 border border-transparent rounded-lg shadow-lg text-sm font-medium text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200 transform hover:scale-105"
+                >
+                  <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                  </svg>
+                  Add New Team
+                </button>
+              )}
             </div>
           </div>
 
@@ -236,7 +261,10 @@ function Teams({ onSuccess, onError }) {
         onTeamClick={handleTeamClick}
         onEdit={handleEdit}
         onDelete={handleDelete}
+        canEdit={(team) => can(user, 'team:update', team)}
+        canDelete={() => can(user, 'team:delete')}
         isLoading={loading}
+        readOnly={!can(user, 'team:create')}
       />
 
           {/* Stats Footer */}
@@ -259,7 +287,7 @@ function Teams({ onSuccess, onError }) {
           )}
         </>
       ) : (
-        <GlobalPlayers onSuccess={onSuccess} onError={onError} />
+        <GlobalPlayers user={user} onSuccess={onSuccess} onError={onError} />
       )}
     </div>
   );
@@ -0,0 +1,306 @@
+/**
+ * Trash Component
+ * Deleted players and teams, which admins can restore or purge before
+ * they expire (admins only)
+ */
+
+import { useState, useEffect } from 'react';
+import { trashAPI } from '../services/api';
+import { getErrorMessage } from '../utils/apiErrors';
+import useQuery from '../hooks/useQuery';
+import {
+  queryKeys,
+  fetchTrash,
+  fetchTrashEntry,
+  fetchTrashSettings,
+  invalidateTrashQueries,
+} from '../services/queries';
+import { invalidateQueries } from '../services/queryCache';
+import { restoreFromTrash } from '../services/undo';
+import { getRoleLabel } from '../utils/playerRoles';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+/**
+ * Describe how long until an entry is purged automatically
+ */
+const formatExpiry = (expiresAt) => {
+  if (!expiresAt) return '';
+  const days = Math.ceil((new Date(expiresAt) - Date.now()) / (24 * 60 * 60 * 1000));
+  if (days <= 1) return 'Expires within a day';
+  return `Expires in ${days} days`;
+};
+
+/**
+ * Build the success message for a restore, including any warnings
+ */
+const restoredMessage = (entry, response) => {
+  const warnings = response.data?.data?.warnings || [];
+  return [`${entry.entity_name} restored.`, ...warnings].join(' ');
+};
+
+/**
+ * Modal listing what restoring an entry would bring back
+ */
+function RestorePreview({ entryId, onRestore, onClose, restoring }) {
+  const { data: entry, error, isLoading } = useQuery(
+    queryKeys.trashEntry(entryId),
+    (options) => fetchTrashEntry(entryId, options)
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl max-w-lg w-full p-6 animate-fadeIn">
+        {isLoading ? (
+          <p className="text-center py-8 text-gray-600">Loading preview...</p>
+        ) : error ? (
+          <div className="bg-red-50 border-l-4 border-red-500 p-3 rounded">
+            <p className="text-sm text-red-700">{getErrorMessage(error, 'Failed to load the preview')}</p>
+          </div>
+        ) : (
+          <>
+            <h3 className="text-xl font-bold text-gray-900">
+              Restore {entry.record?.team_logo} {entry.entity_name}?
+            </h3>
+            <p className="mt-1 text-sm text-gray-600">
+              Deleted by <span className="font-medium">{entry.deleted_by.username}</span> on {formatDate(entry.deleted_at)}
+            </p>
+
+            {entry.warnings?.length > 0 && (
+              <div className="mt-4 bg-yellow-50 border-l-4 border-yellow-400 p-3 rounded">
+                {entry.warnings.map((warning) => (
+                  <p key={warning} className="text-sm text-yellow-800">{warning}</p>
+                ))}
+              </div>
+            )}
+
+            {entry.entity === 'team' ? (
+              <div className="mt-4">
+                <p className="text-sm font-medium text-gray-700">
+                  {entry.players.length === 0
+                    ? 'The team had no players.'
+                    : `These ${entry.players.length} player(s) come back with it:`}
+                </p>
+                {entry.players.length > 0 && (
+                  <ul className="mt-2 max-h-64 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                    {entry.players.map((player) => (
+                      <li key={player.id} className="px-4 py-2 flex justify-between text-sm">
+                        <span className="text-gray-900">{player.player_name}</span>
+                        <span className="text-gray-500">
+                          {player.position ? getRoleLabel(player.position) : '—'}
+                          {player.jersey_number !== null && ` · #${player.jersey_number}`}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ) : (
+              <p className="mt-4 text-sm text-gray-700">
+                {entry.record?.position ? getRoleLabel(entry.record.position) : 'No position'}
+                {entry.record?.jersey_number !== null && entry.record?.jersey_number !== undefined && ` · #${entry.record.jersey_number}`}
+                {' · '}
+                {entry.team_name ? `back to ${entry.team_name}` : 'to the global pool'}
+              </p>
+            )}
+          </>
+        )}
+
+        <div className="mt-6 flex space-x-3">
+          <button
+            onClick={() => onRestore(entry)}
+            disabled={!entry || restoring}
+            className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            {restoring ? 'Restoring...' : 'Restore'}
+          </button>
+          <button
+            onClick={onClose}
+            disabled={restoring}
+            className="flex-1 py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Admin setting for how long deleted records are kept
+ */
+function RetentionSetting({ onSuccess, onError }) {
+  const { data: settings } = useQuery(queryKeys.trashSettings, fetchTrashSettings);
+  const [days, setDays] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (settings) setDays(String(settings.retention_days));
+  }, [settings]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await trashAPI.updateSettings({ retention_days: parseInt(days, 10) });
+      invalidateQueries(queryKeys.trashSettings);
+      if (onSuccess) onSuccess(`Deleted records are now kept for ${days} days.`);
+    } catch (err) {
+      if (onError) onError(getErrorMessage(err, 'Failed to save the trash setting'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-center gap-2 text-sm text-gray-700">
+      <label htmlFor="trashRetention">Keep deleted records for</label>
+      <input
+        id="trashRetention"
+        type="number"
+        min="1"
+        max="365"
+        required
+        value={days}
+        onChange={(e) => setDays(e.target.value)}
+        className="w-20 px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
+      />
+      <span>days</span>
+      <button
+        type="submit"
+        disabled={saving || !settings || days === String(settings.retention_days)}
+        className="px-3 py-1 rounded-lg text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+      >
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+    </form>
+  );
+}
+
+function Trash({ onSuccess, onError }) {
+  const [previewId, setPreviewId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const { data: entries = [], error: loadError, isLoading: loading } = useQuery(queryKeys.trash, fetchTrash);
+
+  // Report load failures
+  useEffect(() => {
+    if (loadError && onError) onError(getErrorMessage(loadError, 'Failed to load the trash'));
+  }, [loadError]);
+
+  const handleRestore = async (entry) => {
+    setBusyId(entry.id);
+    try {
+      const response = await restoreFromTrash(entry.id);
+      setPreviewId(null);
+      if (onSuccess) onSuccess(restoredMessage(entry, response));
+    } catch (err) {
+      if (onError) onError(getErrorMessage(err, `Failed to restore ${entry.entity_name}`));
+      console.error('Restore error:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (entry) => {
+    const extra = entry.entity === 'team' && entry.player_count > 0 ? ` and its ${entry.player_count} player(s)` : '';
+    if (!window.confirm(`Permanently delete ${entry.entity_name}${extra}? This cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(entry.id);
+    try {
+      await trashAPI.purge(entry.id);
+      invalidateTrashQueries();
+      if (onSuccess) onSuccess(`${entry.entity_name} deleted permanently.`);
+    } catch (err) {
+      if (onError) onError(getErrorMessage(err, `Failed to delete ${entry.entity_name}`));
+      console.error('Purge error:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="mb-6 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Trash</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            Deleted players and teams, removed for good once they expire
+          </p>
+        </div>
+        <RetentionSetting onSuccess={onSuccess} onError={onError} />
+      </div>
+
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="text-center py-12">
+            <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <p className="mt-4 text-gray-600">Loading trash...</p>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-12">
+            <h3 className="text-sm font-medium text-gray-900">The trash is empty</h3>
+            <p className="mt-1 text-sm text-gray-500">Deleted players and teams will show up here.</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {entries.map((entry) => (
+              <li key={entry.id} className="px-6 py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 hover:bg-gray-50 transition-colors">
+                <div>
+                  <p className="text-sm text-gray-900">
+                    <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-gray-100 text-gray-800">
+                      {entry.entity}
+                    </span>{' '}
+                    <span className="font-medium">{entry.entity_name || `#${entry.entity_id}`}</span>
+                    {entry.entity === 'team' && (
+                      <span className="text-gray-600"> with {entry.player_count} player(s)</span>
+                    )}
+                    {entry.entity === 'player' && entry.team_name && (
+                      <span className="text-gray-600"> from {entry.team_name}</span>
+                    )}
+                  </p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Deleted by {entry.deleted_by.username} on {formatDate(entry.deleted_at)} · {formatExpiry(entry.expires_at)}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setPreviewId(entry.id)}
+                    disabled={busyId === entry.id}
+                    className="px-3 py-1 rounded-md text-sm font-medium text-primary-700 bg-primary-50 hover:bg-primary-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Restore...
+                  </button>
+                  <button
+                    onClick={() => handlePurge(entry)}
+                    disabled={busyId === entry.id}
+                    className="px-3 py-1 rounded-md text-sm font-medium text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {previewId !== null && (
+        <RestorePreview
+          entryId={previewId}
+          restoring={busyId === previewId}
+          onRestore={handleRestore}
+          onClose={() => setPreviewId(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default Trash;
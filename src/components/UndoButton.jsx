@@ -0,0 +1,36 @@
+/**
+ * UndoButton Component
+ * Runs a toast's undo action and reports how it went
+ */
+
+import { useState } from 'react';
+import { getUndoErrorMessage } from '../services/undo';
+
+function UndoButton({ action, onDone, onError }) {
+  const [running, setRunning] = useState(false);
+
+  const handleClick = async () => {
+    setRunning(true);
+    try {
+      await action.run();
+      onDone(action.message);
+    } catch (err) {
+      console.error('Undo error:', err);
+      onError(getUndoErrorMessage(err));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={running}
+      className="ml-4 px-3 py-1 rounded-md text-sm font-semibold text-green-800 bg-green-100 hover:bg-green-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+    >
+      {running ? 'Undoing...' : action.label}
+    </button>
+  );
+}
+
+export default UndoButton;
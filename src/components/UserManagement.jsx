@@ -0,0 +1,453 @@
+/**
+ * UserManagement Component
+ * Admin panel to add, change, disable and reset user accounts, and to
+ * link team owners to their teams (admins only)
+ */
+
+import { useState, useEffect } from 'react';
+import { usersAPI } from '../services/api';
+import { getErrorMessage } from '../utils/apiErrors';
+import { generatePassword, validatePassword } from '../utils/passwords';
+import { ROLES } from '../utils/permissions';
+import useQuery from '../hooks/useQuery';
+import { queryKeys, fetchTeams, fetchUsers } from '../services/queries';
+import { invalidateQueries } from '../services/queryCache';
+
+const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Admin - manages everything',
+  [ROLES.OWNER]: 'Team owner - manages their teams',
+  [ROLES.VIEWER]: 'Viewer - read and export only',
+};
+
+const ROLE_BADGES = {
+  [ROLES.ADMIN]: 'bg-red-100 text-red-800',
+  [ROLES.OWNER]: 'bg-blue-100 text-blue-800',
+  [ROLES.VIEWER]: 'bg-gray-100 text-gray-800',
+};
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition';
+
+/**
+ * Temporary password input with a button to make one up
+ */
+function TemporaryPasswordInput({ id, value, onChange, disabled }) {
+  return (
+    <div className="flex gap-2">
+      <input
+        id={id}
+        type="text"
+        required
+        autoComplete="off"
+        className={`${inputClass} font-mono`}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      />
+      <button
+        type="button"
+        onClick={() => onChange(generatePassword())}
+        disabled={disabled}
+        className="px-3 py-2 rounded-lg text-sm font-medium text-primary-700 bg-primary-50 hover:bg-primary-100 disabled:opacity-50 transition-colors"
+      >
+        Generate
+      </button>
+    </div>
+  );
+}
+
+/**
+ * Form for adding a user, or changing an existing user's role and teams
+ */
+function UserForm({ user, teams, onSubmit, onCancel, isLoading }) {
+  const [username, setUsername] = useState(user?.username || '');
+  const [role, setRole] = useState(user?.role || ROLES.VIEWER);
+  const [teamIds, setTeamIds] = useState(user?.team_ids || []);
+  const [password, setPassword] = useState(() => (user ? '' : generatePassword()));
+  const [error, setError] = useState('');
+
+  const toggleTeam = (teamId) => {
+    setTeamIds((ids) => (ids.includes(teamId) ? ids.filter((id) => id !== teamId) : [...ids, teamId]));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problem = user ? null : validatePassword(password, username.trim());
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setError('');
+
+    const access = { role, team_ids: role === ROLES.OWNER ? teamIds : [] };
+    onSubmit(user ? access : { username: username.trim(), password, ...access });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {error && (
+        <div className="bg-red-50 border-l-4 border-red-500 p-3 rounded">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {!user && (
+          <>
+            <div>
+              <label htmlFor="newUsername" className="block text-sm font-medium text-gray-700 mb-1">
+                Username *
+              </label>
+              <input
+                id="newUsername"
+                type="text"
+                required
+                autoComplete="off"
+                className={inputClass}
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                disabled={isLoading}
+              />
+            </div>
+            <div>
+              <label htmlFor="newUserPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Temporary password * <span className="text-gray-500 text-xs">(changed at first sign in)</span>
+              </label>
+              <TemporaryPasswordInput id="newUserPassword" value={password} onChange={setPassword} disabled={isLoading} />
+            </div>
+          </>
+        )}
+
+        <div className="md:col-span-2">
+          <label htmlFor="userRole" className="block text-sm font-medium text-gray-700 mb-1">
+            Role
+          </label>
+          <select
+            id="userRole"
+            className={inputClass}
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            disabled={isLoading}
+          >
+            {Object.values(ROLES).map((value) => (
+              <option key={value} value={value}>{ROLE_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+
+        {role === ROLES.OWNER && (
+          <fieldset className="md:col-span-2">
+            <legend className="block text-sm font-medium text-gray-700 mb-1">Teams they own</legend>
+            {teams.length === 0 ? (
+              <p className="text-sm text-gray-500">Add a team first.</p>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {teams.map((team) => (
+                  <label key={team.id} className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={teamIds.includes(team.id)}
+                      onChange={() => toggleTeam(team.id)}
+                      disabled={isLoading}
+                      className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                    />
+                    {team.team_logo} {team.team_name}
+                  </label>
+                ))}
+              </div>
+            )}
+          </fieldset>
+        )}
+      </div>
+
+      <div className="flex space-x-3 pt-2">
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+        >
+          {isLoading ? 'Saving...' : user ? 'Update User' : 'Add User'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isLoading}
+          className="flex-1 py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * Modal for giving a user a new temporary password
+ */
+function ResetPasswordModal({ user, onReset, onClose, isLoading }) {
+  const [password, setPassword] = useState(() => generatePassword());
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problem = validatePassword(password, user.username);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onReset(user, password);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-2xl max-w-md w-full p-6 animate-fadeIn">
+        <h3 className="text-xl font-bold text-gray-900">Reset password for {user.username}</h3>
+        <p className="mt-1 text-sm text-gray-600">
+          Give them this temporary password. They will have to choose a new one when they sign in.
+        </p>
+
+        <form onSubmit={handleSubmit} className="mt-4 space-y-4">
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-500 p-3 rounded">
+              <p className="text-sm text-red-700">{error}</p>
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="resetPassword" className="block text-sm font-medium text-gray-700 mb-1">
+              Temporary password
+            </label>
+            <TemporaryPasswordInput id="resetPassword" value={password} onChange={setPassword} disabled={isLoading} />
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="flex-1 py-2 px-4 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {isLoading ? 'Resetting...' : 'Reset password'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isLoading}
+              className="flex-1 py-2 px-4 border border-gray-300 rounded-lg shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function UserManagement({ user: currentUser, onSuccess, onError }) {
+  const [showForm, setShowForm] = useState(false);
+  const [editingUser, setEditingUser] = useState(null);
+  const [resettingUser, setResettingUser] = useState(null);
+  const [formLoading, setFormLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const { data: users = [], error: loadError, isLoading: loading } = useQuery(queryKeys.users, fetchUsers);
+  const { data: teams = [] } = useQuery(queryKeys.teams, fetchTeams);
+
+  // Report load failures
+  useEffect(() => {
+    if (loadError && onError) onError(getErrorMessage(loadError, 'Failed to load users'));
+  }, [loadError]);
+
+  const teamNames = (teamIds) =>
+    teamIds.map((id) => teams.find((team) => team.id === id)?.team_name || `#${id}`).join(', ');
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingUser(null);
+  };
+
+  const handleSubmit = async (data) => {
+    setFormLoading(true);
+    try {
+      if (editingUser) {
+        await usersAPI.update(editingUser.id, data);
+        if (onSuccess) onSuccess(`${editingUser.username} updated.`);
+      } else {
+        await usersAPI.create(data);
+        if (onSuccess) onSuccess(`${data.username} added. Their temporary password is ${data.password}`);
+      }
+      invalidateQueries(queryKeys.users);
+      closeForm();
+    } catch (err) {
+      if (onError) onError(getErrorMessage(err, 'Failed to save user'));
+      console.error('Save user error:', err);
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const handleToggleDisabled = async (user) => {
+    if (!user.disabled && !window.confirm(`Disable ${user.username}? They will be signed out and unable to sign in.`)) {
+      return;
+    }
+
+    setBusyId(user.id);
+    try {
+      await usersAPI.update(user.id, { disabled: !user.disabled });
+      invalidateQueries(queryKeys.users);
+      if (onSuccess) onSuccess(`${user.username} ${user.disabled ? 'enabled' : 'disabled'}.`);
+    } catch (err) {
+      if (onError) onError(getErrorMessage(err, `Failed to update ${user.username}`));
+      console.error('Disable user error:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleResetPassword = async (user, password) => {
+    setBusyId(user.id);
+    try {
+      await usersAPI.resetPassword(user.id, password);
+      invalidateQueries(queryKeys.users);
+      setResettingUser(null);
+      if (onSuccess) onSuccess(`Password reset. ${user.username}'s temporary password is ${password}`);
+    } catch (err) {
+      if (onError) onError(getErrorMessage(err, `Failed to reset the password for ${user.username}`));
+      console.error('Reset password error:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6">
+      <div className="mb-6 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Users</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            Who can sign in, what they can change, and which teams owners manage
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-lg shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 transition-all duration-200"
+          >
+            <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
+            </svg>
+            Add User
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <div className="mb-6 p-6 bg-gray-50 rounded-lg border border-gray-200 animate-fadeIn">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            {editingUser ? `Edit ${editingUser.username}` : 'Add New User'}
+          </h3>
+          <UserForm
+            key={editingUser?.id ?? 'new'}
+            user={editingUser}
+            teams={teams}
+            onSubmit={handleSubmit}
+            onCancel={closeForm}
+            isLoading={formLoading}
+          />
+        </div>
+      )}
+
+      <div className="border border-gray-200 rounded-lg overflow-x-auto">
+        {loading ? (
+          <div className="text-center py-12">
+            <svg className="animate-spin h-12 w-12 text-primary-600 mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            <p className="mt-4 text-gray-600">Loading users...</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Username</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Teams</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {users.map((user) => {
+                const isSelf = user.id === currentUser?.id;
+                return (
+                  <tr key={user.id} className={`hover:bg-gray-50 transition-colors ${user.disabled ? 'opacity-60' : ''}`}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {user.username}
+                      {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${ROLE_BADGES[user.role] || ROLE_BADGES[ROLES.VIEWER]}`}>
+                        {user.role || ROLES.VIEWER}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {user.team_ids.length > 0 ? teamNames(user.team_ids) : '—'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {user.disabled ? (
+                        <span className="text-red-600 font-medium">Disabled</span>
+                      ) : user.must_change_password ? (
+                        <span className="text-yellow-700">Temporary password</span>
+                      ) : (
+                        <span className="text-green-700">Active</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium space-x-2">
+                      <button
+                        onClick={() => {
+                          setEditingUser(user);
+                          setShowForm(true);
+                        }}
+                        disabled={busyId === user.id}
+                        className="text-primary-600 hover:text-primary-900 disabled:opacity-50 transition-colors"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => setResettingUser(user)}
+                        disabled={busyId === user.id}
+                        className="text-yellow-700 hover:text-yellow-900 disabled:opacity-50 transition-colors"
+                      >
+                        Reset password
+                      </button>
+                      {!isSelf && (
+                        <button
+                          onClick={() => handleToggleDisabled(user)}
+                          disabled={busyId === user.id}
+                          className={`${user.disabled ? 'text-green-700 hover:text-green-900' : 'text-red-600 hover:text-red-900'} disabled:opacity-50 transition-colors`}
+                        >
+                          {user.disabled ? 'Enable' : 'Disable'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {resettingUser && (
+        <ResetPasswordModal
+          user={resettingUser}
+          isLoading={busyId === resettingUser.id}
+          onReset={handleResetPassword}
+          onClose={() => setResettingUser(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default UserManagement;
@@ -0,0 +1,24 @@
+/**
+ * useDebouncedValue Hook
+ * Follows a value only after it stops changing, e.g. to search as the user types
+ */
+
+import { useEffect, useState } from 'react';
+
+/**
+ * @param {*} value - Value to follow
+ * @param {number} delay - Milliseconds the value must stay unchanged
+ * @returns {*} The debounced value
+ */
+function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+export default useDebouncedValue;
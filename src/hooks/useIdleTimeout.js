@@ -0,0 +1,73 @@
+/**
+ * useIdleTimeout Hook
+ * Counts down to signing out after the configured idle time, with a
+ * warning period at the end
+ */
+
+import { useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import {
+  IDLE_WARNING_SECONDS,
+  getIdleTimeoutMinutes,
+  getLastActivity,
+  recordActivity,
+  subscribeIdleTimeout,
+} from '../services/idleTimeout';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+/**
+ * @param {boolean} enabled - Only count while signed in
+ * @param {Function} onTimeout - Called once the idle time runs out
+ * @returns {Object} { remaining: seconds left while warning, else null; stayActive }
+ */
+function useIdleTimeout(enabled, onTimeout) {
+  const timeoutMinutes = useSyncExternalStore(subscribeIdleTimeout, getIdleTimeoutMinutes);
+  const [remaining, setRemaining] = useState(null);
+  const warningRef = useRef(false);
+  const onTimeoutRef = useRef(onTimeout);
+  onTimeoutRef.current = onTimeout;
+
+  useEffect(() => {
+    if (!enabled || !timeoutMinutes) {
+      setRemaining(null);
+      return undefined;
+    }
+
+    // Once the warning is up, only "Stay signed in" keeps the session
+    const handleActivity = () => {
+      if (!warningRef.current) recordActivity();
+    };
+
+    const tick = () => {
+      const left = Math.ceil((getLastActivity() + timeoutMinutes * 60 * 1000 - Date.now()) / 1000);
+      warningRef.current = left <= IDLE_WARNING_SECONDS;
+      if (left <= 0) {
+        clearInterval(timer);
+        setRemaining(null);
+        onTimeoutRef.current();
+      } else {
+        setRemaining(warningRef.current ? left : null);
+      }
+    };
+
+    recordActivity(true);
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, handleActivity, { passive: true }));
+    const timer = setInterval(tick, 1000);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, handleActivity));
+      clearInterval(timer);
+      warningRef.current = false;
+    };
+  }, [enabled, timeoutMinutes]);
+
+  const stayActive = () => {
+    recordActivity(true);
+    warningRef.current = false;
+    setRemaining(null);
+  };
+
+  return { remaining, stayActive };
+}
+
+export default useIdleTimeout;
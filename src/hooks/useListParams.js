@@ -0,0 +1,48 @@
+/**
+ * useListParams Hook
+ * Keeps a list's search, sort and page in the URL query string, so a
+ * filtered page can be shared, bookmarked and restored with back/forward
+ */
+
+import { useSearchParams } from 'react-router-dom';
+
+/**
+ * @param {Object} options
+ * @param {Array<number>} options.pageSizeOptions - Page sizes a link may ask for
+ * @param {number} options.defaultPageSize - Page size left out of the URL
+ * @param {Function} options.isValidSort - Rejects sort values from hand-edited links
+ * @returns {Object} { q, page, pageSize, sort, setListParams }
+ *
+ * @example
+ * // ?q=hawks&page=2&pageSize=25&sort=-jersey_number
+ * setListParams({ page: 3 });
+ */
+function useListParams({ pageSizeOptions, defaultPageSize, isValidSort }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const q = searchParams.get('q') || '';
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+  const requestedSize = parseInt(searchParams.get('pageSize'), 10);
+  const pageSize = pageSizeOptions.includes(requestedSize) ? requestedSize : defaultPageSize;
+  const requestedSort = searchParams.get('sort') || '';
+  const sort = requestedSort && isValidSort(requestedSort) ? requestedSort : '';
+
+  /**
+   * Change some of the values; defaults are dropped to keep links short
+   * @param {Object} changes - Any of { q, page, pageSize, sort }
+   * @param {Object} options - { replace } to change the URL without a history entry
+   */
+  const setListParams = (changes, { replace = false } = {}) => {
+    const next = { q, page, pageSize, sort, ...changes };
+    const params = new URLSearchParams();
+    if (next.q) params.set('q', next.q);
+    if (next.page > 1) params.set('page', String(next.page));
+    if (next.pageSize !== defaultPageSize) params.set('pageSize', String(next.pageSize));
+    if (next.sort) params.set('sort', next.sort);
+    setSearchParams(params, { replace });
+  };
+
+  return { q, page, pageSize, sort, setListParams };
+}
+
+export default useListParams;
@@ -0,0 +1,61 @@
+/**
+ * useQuery Hook
+ * Reads a query from the shared cache and keeps it fresh
+ */
+
+import { useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import {
+  DEFAULT_STALE_TIME,
+  fetchQuery,
+  getQueryState,
+  isStale,
+  subscribeQuery,
+} from '../services/queryCache';
+
+/**
+ * @param {string} key - Query key, e.g. 'players' or 'teams:3:hierarchy'
+ * @param {Function} fetcher - Async function ({ signal }) returning the data;
+ *   pass the signal on to the API call so it can be aborted
+ * @param {Object} options - { enabled, staleTime, keepPreviousData: show the
+ *   last key's data while a new key loads, e.g. when paging }
+ * @returns {Object} { data, error, isLoading, isFetching, isPreviousData, refetch }
+ */
+function useQuery(key, fetcher, { enabled = true, staleTime = DEFAULT_STALE_TIME, keepPreviousData = false } = {}) {
+  // Keep the latest fetcher without refetching on every render
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const subscribe = useCallback((listener) => subscribeQuery(key, listener), [key]);
+  const getSnapshot = useCallback(() => getQueryState(key), [key]);
+  const state = useSyncExternalStore(subscribe, getSnapshot);
+
+  const previousDataRef = useRef(undefined);
+  useEffect(() => {
+    if (state.data !== undefined) previousDataRef.current = state.data;
+  }, [state.data]);
+
+  const isPreviousData = keepPreviousData && state.data === undefined && previousDataRef.current !== undefined;
+  const data = isPreviousData ? previousDataRef.current : state.data;
+
+  const refetch = useCallback(
+    () => fetchQuery(key, (options) => fetcherRef.current(options)),
+    [key]
+  );
+
+  // Show cached data right away and revalidate it in the background if stale
+  useEffect(() => {
+    if (!enabled || !isStale(key, staleTime)) return;
+    refetch().catch((err) => console.error(`Load ${key} error:`, err));
+  }, [key, enabled, staleTime, refetch]);
+
+  return {
+    data,
+    error: state.error,
+    isLoading: enabled && data === undefined && !state.error,
+    isFetching: state.isFetching,
+    isPreviousData,
+    refetch,
+  };
+}
+
+export default useQuery;
@@ -4,19 +4,42 @@
  */
 
 import axios from 'axios';
+import { getActiveProfile } from './config';
+import { beginRetry, endRetry } from './serverStatus';
+import { getRefreshToken, getToken, requestReauth, setSession } from './session';
+import {
+  ResponseSchemaError,
+  normalizeAuditEntry,
+  normalizeBatchResults,
+  normalizeDuplicateMatch,
+  normalizeDuplicatePair,
+  normalizeList,
+  normalizePlayer,
+  normalizeTeam,
+  normalizeTrashEntry,
+  normalizeUser,
+  reportSchemaError,
+} from './models';
+import { isNetworkError } from '../utils/apiErrors';
 
-// Create axios instance with default config
+const profile = getActiveProfile();
+
+// The mock backend is only loaded when the demo profile is active
+const mockAdapter = (config) =>
+  import('./mock/mockAdapter').then((module) => module.default(config));
+
+// Create axios instance from the active backend profile
 const api = axios.create({
-  baseURL: 'https://kpl-backend.onrender.com/api',
-  headers: {
-    'Content-Type': 'application/json',
-  },
+  baseURL: profile.baseURL,
+  timeout: profile.timeout,
+  headers: profile.headers,
+  ...(profile.adapter === 'mock' && { adapter: mockAdapter }),
 });
 
 // Request interceptor to add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    const token = getToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -27,82 +50,329 @@ api.interceptors.request.use(
   }
 );
 
+// Retry settings for a sleeping backend (first retry after ~1s, then 2s, 4s, ...)
+// VITE_API_RETRIES=0 turns retrying off
+const configuredRetries = parseInt(import.meta.env.VITE_API_RETRIES, 10);
+const MAX_RETRIES = Number.isFinite(configuredRetries) && configuredRetries >= 0 ? configuredRetries : 4;
+const RETRY_BASE_DELAY = 1000;
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+/**
+ * Decide whether a failed request should be retried
+ * Only idempotent requests (or ones that opt in with `retry: true`) are
+ * retried, and only for connection failures or gateway errors.
+ */
+const shouldRetry = (error) => {
+  const config = error.config;
+  if (!config || config.retry === false) return false;
+
+  const method = (config.method || 'get').toLowerCase();
+  if (!IDEMPOTENT_METHODS.includes(method) && config.retry !== true) return false;
+
+  return isNetworkError(error) || RETRYABLE_STATUSES.includes(error.response?.status);
+};
+
+const retryDelay = (attempt) =>
+  RETRY_BASE_DELAY * 2 ** attempt + Math.random() * RETRY_BASE_DELAY;
+
+/**
+ * How long to wait after a 429, from Retry-After (seconds) when the server sends it
+ */
+const rateLimitDelay = (error, attempt) => {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  return Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : retryDelay(attempt);
+};
+
+/**
+ * Normalize one field of a response body with a model
+ * The axios response shape is kept; malformed payloads are reported
+ * and rejected with a ResponseSchemaError.
+ * @param {string} field - Body field, e.g. 'data' or 'user'
+ * @param {Function} normalize - Model normalizer
+ */
+const withModel = (field, normalize) => (response) => {
+  try {
+    response.data = { ...response.data, [field]: normalize(response.data?.[field]) };
+    return response;
+  } catch (err) {
+    if (err instanceof ResponseSchemaError) reportSchemaError(err);
+    throw err;
+  }
+};
+
+const toPlayers = (list) => normalizeList(normalizePlayer, list, 'player');
+const toTeams = (list) => normalizeList(normalizeTeam, list, 'team');
+const toAuditEntries = (list) => normalizeList(normalizeAuditEntry, list, 'audit entry');
+const toTrashEntries = (list) => normalizeList(normalizeTrashEntry, list, 'trash entry');
+const toUsers = (list) => normalizeList(normalizeUser, list, 'user');
+
+const toDuplicatePairs = (list) => normalizeList(normalizeDuplicatePair, list, 'duplicate pair');
+
+// One list of matches per name checked, kept in step with the names
+const toDuplicateMatches = (lists) => {
+  if (!Array.isArray(lists)) {
+    throw new ResponseSchemaError('duplicate matches', 'expected a list', lists);
+  }
+  return lists.map((matches) =>
+    normalizeList(normalizeDuplicateMatch, Array.isArray(matches) ? matches : [], 'duplicate match'));
+};
+// Token refreshes may or may not echo the user back
+const toOptionalUser = (user) => (user ? normalizeUser(user) : undefined);
+
+let refreshPromise = null;
+
+/**
+ * Swap the refresh token for a new access token
+ * Concurrent 401s share one refresh request.
+ * @returns {Promise}
+ */
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/auth/refresh', { refreshToken: getRefreshToken() }, { skipAuthRecovery: true })
+      .then(withModel('user', toOptionalUser))
+      .then((response) => setSession(response.data))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Try to get a valid session back after a 401
+ * Uses the refresh token first, then asks the user to sign in again
+ * (unless the request opted out with `reauthPrompt: false`).
+ * @returns {Promise<boolean>} Whether the request can be replayed
+ */
+const recoverSession = async (config) => {
+  if (getRefreshToken()) {
+    try {
+      await refreshSession();
+      return true;
+    } catch (err) {
+      console.error('Token refresh error:', err);
+    }
+  }
+  if (config.reauthPrompt === false) return false;
+  return requestReauth();
+};
+
+/**
+ * Stop counting a request towards the "waking up" banner
+ * Runs once per retry streak, however the replayed request ends.
+ */
+const settleRetry = (config) => {
+  if (!config?.retryTracked) return;
+  config.retryTracked = false;
+  endRetry();
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      // Token expired or invalid - redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  (response) => {
+    settleRetry(response.config);
+    return response;
+  },
+  async (error) => {
+    const config = error.config;
+
+    if (shouldRetry(error) && (config.retryCount || 0) < MAX_RETRIES) {
+      if (!config.retryTracked) {
+        config.retryTracked = true;
+        beginRetry();
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryDelay(config.retryCount || 0)));
+      config.retryCount = (config.retryCount || 0) + 1;
+      return api(config);
+    }
+
+    settleRetry(config);
+
+    // Rate limited - the request was not processed, so any method can be
+    // sent again once the server allows it
+    if (error.response?.status === 429 && config.retry !== false
+        && (config.rateLimitCount || 0) < MAX_RETRIES) {
+      await new Promise((resolve) => setTimeout(resolve, rateLimitDelay(error, config.rateLimitCount || 0)));
+      config.rateLimitCount = (config.rateLimitCount || 0) + 1;
+      return api(config);
+    }
+
+    // Session expired - recover it and replay the request instead of
+    // dropping the user on the login page. 403 (forbidden) is left to
+    // the caller: the session is fine, the action just isn't allowed.
+    if (error.response?.status === 401 && !config.skipAuthRecovery && !config.authRecovered) {
+      config.authRecovered = true;
+      if (await recoverSession(config)) {
+        return api(config);
+      }
     }
+
     return Promise.reject(error);
   }
 );
 
 // Authentication API
 export const authAPI = {
+  // Login has no side effects, so it is safe to retry while the server wakes up
   login: (username, password) => 
-    api.post('/auth/login', { username, password }),
+    api.post('/auth/login', { username, password }, { retry: true, skipAuthRecovery: true })
+      .then(withModel('user', normalizeUser)),
   
   logout: () => 
-    api.post('/auth/logout'),
+    api.post('/auth/logout', null, { skipAuthRecovery: true }),
   
+  // Checked on startup, before there is a UI to prompt for a password
   verifyToken: () => 
-    api.get('/auth/verify'),
+    api.get('/auth/verify', { reauthPrompt: false }).then(withModel('user', normalizeUser)),
+  
+  // data.setup_required is true until the first admin account exists
+  getSetupStatus: () => 
+    api.get('/auth/setup', { retry: true, skipAuthRecovery: true }),
+  
+  // Creates the first admin and signs them in, like login
+  setup: (username, password) => 
+    api.post('/auth/setup', { username, password }, { skipAuthRecovery: true })
+      .then(withModel('user', normalizeUser)),
+  
+  // Also clears must_change_password after a temporary password
+  changePassword: (currentPassword, newPassword) => 
+    api.post('/auth/password', { current_password: currentPassword, new_password: newPassword })
+      .then(withModel('user', normalizeUser)),
+};
+
+// Users API - admins only
+export const usersAPI = {
+  getAll: (config) => 
+    api.get('/users', config).then(withModel('data', toUsers)),
+  
+  // userData: { username, password, role, team_ids } - the password is temporary
+  create: (userData) => 
+    api.post('/users', userData).then(withModel('data', normalizeUser)),
+  
+  // changes: { role, team_ids, disabled } - any of them
+  update: (id, changes) => 
+    api.put(`/users/${id}`, changes).then(withModel('data', normalizeUser)),
+  
+  // The user must change the new password when they next sign in
+  resetPassword: (id, password) => 
+    api.post(`/users/${id}/reset-password`, { password }).then(withModel('data', normalizeUser)),
 };
 
+// Read requests take an optional axios config, e.g. { signal } to abort them
+
 // Teams API
 export const teamsAPI = {
-  getAll: () => 
-    api.get('/teams'),
+  getAll: (config) => 
+    api.get('/teams', config).then(withModel('data', toTeams)),
   
-  getById: (id) => 
-    api.get(`/teams/${id}`),
+  getById: (id, config) => 
+    api.get(`/teams/${id}`, config).then(withModel('data', normalizeTeam)),
   
-  getHierarchy: (id) => 
-    api.get(`/teams/${id}/hierarchy`),
+  getHierarchy: (id, config) => 
+    api.get(`/teams/${id}/hierarchy`, config).then(withModel('data', normalizeTeam)),
   
   create: (teamData) => 
-    api.post('/teams', teamData),
+    api.post('/teams', teamData).then(withModel('data', normalizeTeam)),
   
   update: (id, teamData) => 
-    api.put(`/teams/${id}`, teamData),
+    api.put(`/teams/${id}`, teamData).then(withModel('data', normalizeTeam)),
   
+  // Moves the team and its players to the trash; data.trash_id restores them
   delete: (id) => 
     api.delete(`/teams/${id}`),
 };
 
 // Players API
 export const playersAPI = {
-  getAll: () => 
-    api.get('/players'),
+  // params: { page, pageSize, sort, q } - without page the whole list is returned
+  getAll: (params = {}, config = {}) => 
+    api.get('/players', { ...config, params }).then(withModel('data', toPlayers)),
   
-  getGlobal: () => 
-    api.get('/players/global'),
+  getGlobal: (config) => 
+    api.get('/players/global', config).then(withModel('data', toPlayers)),
   
-  getById: (id) => 
-    api.get(`/players/${id}`),
+  getById: (id, config) => 
+    api.get(`/players/${id}`, config).then(withModel('data', normalizePlayer)),
   
   create: (playerData) => 
-    api.post('/players', playerData),
+    api.post('/players', playerData).then(withModel('data', normalizePlayer)),
+  
+  // Creates many players in one request; data is [{ index, success, data, message }] per row
+  createBatch: (players) => 
+    api.post('/players/batch', { players }).then(withModel('data', normalizeBatchResults)),
   
   update: (id, playerData) => 
-    api.put(`/players/${id}`, playerData),
+    api.put(`/players/${id}`, playerData).then(withModel('data', normalizePlayer)),
   
-  assignToTeam: (id, teamId) => 
-    api.put(`/players/${id}/assign`, { team_id: teamId }),
+  // jerseyNumber (optional) gives the player a new number as they join, e.g. to avoid a clash
+  assignToTeam: (id, teamId, jerseyNumber) => 
+    api.put(`/players/${id}/assign`, { team_id: teamId, jersey_number: jerseyNumber }).then(withModel('data', normalizePlayer)),
   
   unassignFromTeam: (id) => 
-    api.put(`/players/${id}/unassign`),
+    api.put(`/players/${id}/unassign`).then(withModel('data', normalizePlayer)),
   
+  // Moves the player to the trash; data.trash_id restores them
   delete: (id) => 
     api.delete(`/players/${id}`),
   
-  search: (query) => 
-    api.get('/players/search', { params: { q: query } }),
+  search: (query, config = {}) => 
+    api.get('/players/search', { ...config, params: { q: query } }).then(withModel('data', toPlayers)),
+  
+  // Registered players whose names look like each of the given names;
+  // data is [[{ player, score }]] in the order of names, most alike first
+  checkDuplicates: (names, config = {}) => 
+    api.post('/players/duplicates/check', { names }, { ...config, retry: true }).then(withModel('data', toDuplicateMatches)),
+  
+  // params: { page, pageSize } - pairs of players that look like the same person, most alike first
+  getDuplicatePairs: (params = {}, config = {}) => 
+    api.get('/players/duplicates', { ...config, params }).then(withModel('data', toDuplicatePairs)),
 };
 
-export default api;
+// Audit API - every change to teams and players, newest first
+export const auditAPI = {
+  // params: { page, pageSize, actor, team_id, player_id, player }
+  getAll: (params = {}, config = {}) => 
+    api.get('/audit', { ...config, params }).then(withModel('data', toAuditEntries)),
+};
+
+// Public API - read-only league pages for visitors who aren't signed in
+// A stale token in storage must never turn a public page into a login prompt
+const PUBLIC_CONFIG = { skipAuthRecovery: true };
 
+export const publicAPI = {
+  getTeams: (config) => 
+    api.get('/public/teams', { ...PUBLIC_CONFIG, ...config }).then(withModel('data', toTeams)),
+  
+  // Team with its players
+  getTeam: (id, config) => 
+    api.get(`/public/teams/${id}`, { ...PUBLIC_CONFIG, ...config }).then(withModel('data', normalizeTeam)),
+  
+  getGlobalPlayers: (config) => 
+    api.get('/public/players/global', { ...PUBLIC_CONFIG, ...config }).then(withModel('data', toPlayers)),
+};
+
+// Trash API - deleted players and teams until they expire or are purged
+export const trashAPI = {
+  getAll: (config) => 
+    api.get('/trash', config).then(withModel('data', toTrashEntries)),
+  
+  // Includes the deleted record, a team's players and restore warnings
+  getById: (id, config) => 
+    api.get(`/trash/${id}`, config).then(withModel('data', normalizeTrashEntry)),
+  
+  restore: (id) => 
+    api.post(`/trash/${id}/restore`),
+  
+  purge: (id) => 
+    api.delete(`/trash/${id}`),
+  
+  getSettings: (config) => 
+    api.get('/trash/settings', config),
+  
+  updateSettings: (settings) => 
+    api.put('/trash/settings', settings),
+};
+
+export default api;
@@ -0,0 +1,25 @@
+/**
+ * Auth Service
+ * Signing out, shared by the logout button and the idle timeout
+ */
+
+import { authAPI } from './api';
+import { clearQueryCache } from './queryCache';
+import { clearSession } from './session';
+
+/**
+ * Sign out on the server and forget the session in every tab
+ * @returns {Promise<void>} Resolves once the local session is cleared, even if the server call fails
+ */
+export const signOut = async () => {
+  try {
+    await authAPI.logout();
+  } catch (err) {
+    console.error('Logout error:', err);
+  } finally {
+    clearSession();
+
+    // Don't leave league data around for the next user
+    clearQueryCache();
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * API Configuration
+ * Resolves backend settings from Vite env files and the active profile
+ */
+
+import { clearSession } from './session';
+
+const PROFILE_STORAGE_KEY = 'apiProfile';
+
+/**
+ * Parse a JSON object of extra headers from an env value
+ * @param {string} value - Raw env value, e.g. '{"X-League":"KPL"}'
+ * @returns {Object} Parsed headers (empty if missing or invalid)
+ */
+const parseHeaders = (value) => {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.error('Invalid VITE_API_HEADERS value:', err);
+    return {};
+  }
+};
+
+const env = import.meta.env;
+
+// Values shared by every profile unless the profile overrides them
+const defaults = {
+  timeout: Number(env.VITE_API_TIMEOUT) || 30000,
+  headers: {
+    'Content-Type': 'application/json',
+    ...parseHeaders(env.VITE_API_HEADERS),
+  },
+};
+
+// Available backend profiles
+export const API_PROFILES = {
+  production: {
+    label: 'Production',
+    baseURL: env.VITE_API_URL_PRODUCTION || 'https://kpl-backend.onrender.com/api',
+    realtimeURL: env.VITE_REALTIME_URL_PRODUCTION || '',
+  },
+  staging: {
+    label: 'Staging',
+    baseURL: env.VITE_API_URL_STAGING || '',
+    realtimeURL: env.VITE_REALTIME_URL_STAGING || '',
+  },
+  local: {
+    label: 'Local',
+    // Goes through the Vite dev server proxy (see vite.config.js)
+    baseURL: env.VITE_API_URL_LOCAL || '/api',
+    realtimeURL: env.VITE_REALTIME_URL_LOCAL || '',
+  },
+  demo: {
+    label: 'Offline Demo',
+    // Served in the browser from IndexedDB (see services/mock)
+    baseURL: '/mock-api',
+    adapter: 'mock',
+  },
+};
+
+// Profile used when nothing has been selected in the app
+export const DEFAULT_PROFILE = API_PROFILES[env.VITE_API_PROFILE] ? env.VITE_API_PROFILE : 'production';
+
+/**
+ * Get the name of the selected profile
+ * @returns {string} Profile key
+ */
+export const getActiveProfileName = () => {
+  const stored = localStorage.getItem(PROFILE_STORAGE_KEY);
+  return stored && API_PROFILES[stored] ? stored : DEFAULT_PROFILE;
+};
+
+/**
+ * Get the full config of the selected profile
+ * @returns {Object} { name, label, baseURL, realtimeURL, timeout, headers, adapter }
+ */
+export const getActiveProfile = () => {
+  const name = getActiveProfileName();
+  const profile = API_PROFILES[name];
+  return {
+    ...defaults,
+    adapter: 'http',
+    ...profile,
+    name,
+  };
+};
+
+/**
+ * Check whether a profile can be selected (has a base URL configured)
+ * @param {string} name - Profile key
+ * @returns {boolean}
+ */
+export const isProfileAvailable = (name) => Boolean(API_PROFILES[name]?.baseURL);
+
+/**
+ * Select a backend profile
+ * Session data belongs to the previous backend, so it is cleared.
+ * @param {string} name - Profile key
+ */
+export const setActiveProfile = (name) => {
+  if (!API_PROFILES[name]) {
+    throw new Error(`Unknown API profile: ${name}`);
+  }
+  if (name === DEFAULT_PROFILE) {
+    localStorage.removeItem(PROFILE_STORAGE_KEY);
+  } else {
+    localStorage.setItem(PROFILE_STORAGE_KEY, name);
+  }
+  clearSession();
+};
+
+// Allow picking a profile at startup with ?profile=<name>, e.g. ?profile=demo
+const requestedProfile = new URLSearchParams(window.location.search).get('profile');
+if (requestedProfile && API_PROFILES[requestedProfile] && requestedProfile !== getActiveProfileName()) {
+  setActiveProfile(requestedProfile);
+}
@@ -0,0 +1,82 @@
+/**
+ * Idle Timeout
+ * Per-browser setting for signing out after a period without activity,
+ * for the shared laptops at the auction venue
+ *
+ * The last activity time lives in localStorage so that working in any
+ * tab keeps every tab signed in.
+ */
+
+const SETTING_KEY = 'idleTimeoutMinutes';
+const ACTIVITY_KEY = 'lastActivity';
+
+// Skip writing to localStorage on every mouse move
+const ACTIVITY_WRITE_INTERVAL_MS = 5000;
+
+const env = import.meta.env;
+
+// 0 turns the idle timeout off
+export const DEFAULT_IDLE_TIMEOUT_MINUTES = Number(env.VITE_IDLE_TIMEOUT_MINUTES) || 0;
+
+// How long the warning counts down before signing out
+export const IDLE_WARNING_SECONDS = Number(env.VITE_IDLE_WARNING_SECONDS) || 60;
+
+export const IDLE_TIMEOUT_OPTIONS = [0, 5, 10, 15, 30, 60];
+
+const listeners = new Set();
+
+let lastWrite = 0;
+
+/**
+ * Minutes of inactivity before signing out in this browser
+ * @returns {number} 0 when the idle timeout is off
+ */
+export const getIdleTimeoutMinutes = () => {
+  const stored = localStorage.getItem(SETTING_KEY);
+  if (stored === null) return DEFAULT_IDLE_TIMEOUT_MINUTES;
+  const minutes = Number(stored);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_IDLE_TIMEOUT_MINUTES;
+};
+
+/**
+ * Change the idle timeout for this browser
+ * @param {number} minutes - 0 to turn it off
+ */
+export const setIdleTimeoutMinutes = (minutes) => {
+  localStorage.setItem(SETTING_KEY, String(minutes));
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribe to idle timeout setting changes, including those made in other tabs
+ * @param {Function} listener
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeIdleTimeout = (listener) => {
+  const onStorage = (e) => {
+    if (e.key === SETTING_KEY) listener();
+  };
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+};
+
+/**
+ * Note that the user did something
+ * @param {boolean} force - Write even if the last write was moments ago
+ */
+export const recordActivity = (force = false) => {
+  const now = Date.now();
+  if (!force && now - lastWrite < ACTIVITY_WRITE_INTERVAL_MS) return;
+  lastWrite = now;
+  localStorage.setItem(ACTIVITY_KEY, String(now));
+};
+
+/**
+ * When the user last did something in any tab
+ * @returns {number} Timestamp in milliseconds
+ */
+export const getLastActivity = () => Number(localStorage.getItem(ACTIVITY_KEY)) || Date.now();
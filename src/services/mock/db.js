@@ -0,0 +1,76 @@
+/**
+ * Mock Database
+ * Minimal promise wrapper around IndexedDB for the mock backend
+ */
+
+const DB_NAME = 'kpl-mock-backend';
+const DB_VERSION = 3;
+
+export const STORES = ['users', 'teams', 'players', 'audit', 'trash', 'meta'];
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise}
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open (and create on first use) the mock database
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORES.forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, name === 'meta' ? { keyPath: 'key' } : { keyPath: 'id', autoIncrement: true });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Receives the store and returns an IDBRequest
+ * @returns {Promise}
+ */
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDB();
+  const tx = db.transaction(storeName, mode);
+  return promisify(fn(tx.objectStore(storeName)));
+};
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', (store) => store.getAll());
+
+export const get = (storeName, key) => withStore(storeName, 'readonly', (store) => store.get(key));
+
+export const add = async (storeName, value) => {
+  const id = await withStore(storeName, 'readwrite', (store) => store.add(value));
+  return { ...value, id };
+};
+
+export const put = async (storeName, value) => {
+  await withStore(storeName, 'readwrite', (store) => store.put(value));
+  return value;
+};
+
+export const remove = (storeName, key) => withStore(storeName, 'readwrite', (store) => store.delete(key));
+
+export const clear = (storeName) => withStore(storeName, 'readwrite', (store) => store.clear());
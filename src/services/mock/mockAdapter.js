@@ -0,0 +1,996 @@
+/**
+ * Mock Adapter
+ * Axios adapter that serves every backend endpoint from IndexedDB
+ */
+
+import { AxiosError, CanceledError } from 'axios';
+import * as db from './db';
+import { seedIfNeeded } from './seed';
+import { eventFromRequest, MOCK_EVENTS_CHANNEL } from '../realtimeEvents';
+import { filterPlayers, paginate, sortPlayers } from '../../utils/playerSearch';
+import { can, ROLES } from '../../utils/permissions';
+import { validatePassword } from '../../utils/passwords';
+import { CONTACT_FIELDS, PROFILE_FIELDS, validatePlayerProfile } from '../../utils/playerProfile';
+import { resolveRole } from '../../utils/playerRoles';
+import { findDuplicatePairs, findDuplicates } from '../../utils/duplicates';
+import { describeJerseyConflict, findJerseyConflict, suggestJerseyNumbers } from '../../utils/jerseys';
+
+// Simulated network latency in milliseconds
+const LATENCY = Number(import.meta.env.VITE_MOCK_LATENCY) || 150;
+
+// Largest batch create the mock accepts, like a real server's request limit
+const BATCH_LIMIT = 100;
+// Likely duplicates returned per name checked
+const DUPLICATE_MATCH_LIMIT = 5;
+
+// Days deleted records stay in the trash unless an admin changes it
+const DEFAULT_TRASH_RETENTION_DAYS = Number(import.meta.env.VITE_MOCK_TRASH_RETENTION_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expired trash is cleared at most this often, and on every trash request
+const PURGE_INTERVAL = 60 * 1000;
+
+// Access token lifetime in seconds, short enough to exercise token refresh
+const TOKEN_TTL = Number(import.meta.env.VITE_MOCK_TOKEN_TTL) || 900;
+
+let ready = null;
+let eventsChannel = null;
+let lastPurge = 0;
+
+/**
+ * Tell other open tabs about a change, like a real server push would
+ */
+const publishChange = (method, path, body) => {
+  const event = eventFromRequest(method, path, body);
+  if (!event || typeof BroadcastChannel === 'undefined') return;
+  if (!eventsChannel) eventsChannel = new BroadcastChannel(MOCK_EVENTS_CHANNEL);
+  eventsChannel.postMessage(event);
+};
+
+/**
+ * Error carrying an HTTP status, turned into an axios error response
+ */
+class MockHttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const notFound = (what) => new MockHttpError(404, `${what} not found`);
+
+const toInt = (value) => (value === null || value === undefined || value === '' ? null : parseInt(value, 10));
+
+/**
+ * Issue a fresh token pair; access tokens carry their expiry time
+ */
+const issueTokens = (user) => ({
+  token: `mock-${user.id}-${Date.now() + TOKEN_TTL * 1000}`,
+  refreshToken: `mock-refresh-${user.id}`,
+});
+
+/**
+ * Get the signed-in user from the Authorization header
+ * Until a temporary password is changed, only passwordChange routes work.
+ */
+const requireUser = async (config, { passwordChange = false } = {}) => {
+  const header = config.headers?.Authorization || config.headers?.authorization || '';
+  const match = /^Bearer mock-(\d+)-(\d+)$/.exec(header);
+  const expired = match && Number(match[2]) < Date.now();
+  const user = match && !expired ? await db.get('users', Number(match[1])) : null;
+  if (!user || user.disabled) {
+    throw new MockHttpError(401, 'Invalid or expired token');
+  }
+  if (user.must_change_password && !passwordChange) {
+    throw new MockHttpError(403, 'Change your password to continue');
+  }
+  return user;
+};
+
+const publicUser = ({ password, ...user }) => ({
+  ...user,
+  must_change_password: Boolean(user.must_change_password),
+  disabled: Boolean(user.disabled),
+});
+
+const requireUserAdmin = async (config, message) => {
+  const user = await requireUser(config);
+  authorize(user, 'users:manage', [], message);
+  return user;
+};
+
+const findUser = async (id) => {
+  const user = await db.get('users', toInt(id));
+  if (!user) throw notFound('User');
+  return user;
+};
+
+const isActiveAdmin = (user) => user.role === ROLES.ADMIN && !user.disabled;
+
+/**
+ * Check a role and the teams an owner manages
+ * @returns {Promise<Object>} { role, team_ids }
+ */
+const validateUserAccess = async (data) => {
+  if (!Object.values(ROLES).includes(data.role)) {
+    throw new MockHttpError(400, `Role must be one of: ${Object.values(ROLES).join(', ')}`);
+  }
+  if (data.role !== ROLES.OWNER) return { role: data.role, team_ids: [] };
+
+  const teamIds = [...new Set((data.team_ids || []).map(toInt))];
+  const teams = await db.getAll('teams');
+  const missing = teamIds.filter((id) => !teams.some((team) => team.id === id));
+  if (missing.length > 0) throw notFound(`Team ${missing.join(', ')}`);
+  return { role: data.role, team_ids: teamIds };
+};
+
+const requireValidPassword = (password, username) => {
+  const problem = validatePassword(password, username);
+  if (problem) throw new MockHttpError(400, problem);
+};
+
+/**
+ * Attach team_name to players, the way the real API does
+ */
+const withTeamNames = async (players) => {
+  const teams = await db.getAll('teams');
+  const byId = new Map(teams.map((team) => [team.id, team]));
+  return players.map((player) => ({
+    ...player,
+    team_name: byId.get(player.team_id)?.team_name || null,
+  }));
+};
+
+/**
+ * Fields anyone may see without signing in; date of birth, phone numbers
+ * and the emergency contact stay private
+ */
+const toPublicPlayer = ({
+  id, player_name, position, jersey_number, team_id, team_name,
+  photo_url = null, batting_hand = null, bowling_style = null, locality = null,
+}) => ({
+  id, player_name, position, jersey_number, team_id, team_name,
+  photo_url, batting_hand, bowling_style, locality,
+});
+
+/**
+ * Leave out phone numbers and the emergency contact of players the user
+ * doesn't manage; updates keep the stored values for fields left out
+ */
+const withContactsFor = (user, players) =>
+  players.map((player) => {
+    if (can(user, 'player:contact', player)) return player;
+    const visible = { ...player };
+    CONTACT_FIELDS.forEach((field) => delete visible[field]);
+    return visible;
+  });
+
+const toPublicTeam = ({ id, team_name, team_logo, team_color, description, player_count }) =>
+  ({ id, team_name, team_logo, team_color, description, player_count });
+
+/**
+ * Attach player_count to teams
+ */
+const withPlayerCounts = async (teams) => {
+  const players = await db.getAll('players');
+  return teams.map((team) => ({
+    ...team,
+    player_count: players.filter((player) => player.team_id === team.id).length,
+  }));
+};
+
+/**
+ * Record a change in the audit log
+ * @param {Object} actor - User making the change
+ * @param {string} action - create | update | delete | assign | unassign
+ * @param {string} entity - player | team
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ */
+const recordAudit = (actor, action, entity, before, after) => {
+  const record = after || before;
+  const teamIds = entity === 'team'
+    ? [record.id]
+    : [before?.team_id, after?.team_id].filter((id) => id !== null && id !== undefined);
+  return db.add('audit', {
+    action,
+    entity,
+    entity_id: record.id,
+    entity_name: entity === 'team' ? record.team_name : record.player_name,
+    team_ids: [...new Set(teamIds)],
+    actor: { id: actor.id, username: actor.username },
+    at: new Date().toISOString(),
+    before,
+    after,
+  });
+};
+
+/**
+ * Reject the request unless the user has a permission
+ * @param {Object} user - Signed-in user
+ * @param {string} permission - See utils/permissions
+ * @param {Array} args - What the permission is about
+ * @param {string} message - Error message for a 403
+ */
+const authorize = (user, permission, args, message) => {
+  if (!can(user, permission, ...args)) throw new MockHttpError(403, message);
+};
+
+const requireTrashAdmin = async (config, message) => {
+  const user = await requireUser(config);
+  authorize(user, 'trash:manage', [], message);
+  return user;
+};
+
+const getTrashRetentionDays = async () =>
+  (await db.get('meta', 'trashRetentionDays'))?.value ?? DEFAULT_TRASH_RETENTION_DAYS;
+
+/**
+ * Move a deleted player or team (with its players) into the trash
+ * @returns {Promise<Object>} Trash entry
+ */
+const moveToTrash = async (actor, entity, record, players = []) => {
+  if (entity === 'team') {
+    await Promise.all(players.map((player) => db.remove('players', player.id)));
+    await db.remove('teams', record.id);
+  } else {
+    await db.remove('players', record.id);
+  }
+
+  return db.add('trash', {
+    entity,
+    entity_id: record.id,
+    entity_name: entity === 'team' ? record.team_name : record.player_name,
+    record,
+    players,
+    deleted_by: { id: actor.id, username: actor.username },
+    deleted_at: new Date().toISOString(),
+  });
+};
+
+// Expiry follows the current retention setting, so changing it applies to everything in the trash
+const expiresAt = (entry, retentionDays) =>
+  new Date(new Date(entry.deleted_at).getTime() + retentionDays * DAY_MS).toISOString();
+
+/**
+ * Permanently remove trash entries past their expiry
+ */
+const purgeExpiredTrash = async () => {
+  const now = new Date().toISOString();
+  const retentionDays = await getTrashRetentionDays();
+  const expired = (await db.getAll('trash')).filter((entry) => expiresAt(entry, retentionDays) <= now);
+  await Promise.all(expired.map((entry) => db.remove('trash', entry.id)));
+};
+
+/**
+ * Trash entry as returned by the list endpoint
+ */
+const trashSummary = async ({ record, players, ...entry }) => {
+  const [withTeam] = entry.entity === 'player' ? await withTeamNames([record]) : [null];
+  return {
+    ...entry,
+    expires_at: expiresAt(entry, await getTrashRetentionDays()),
+    team_name: withTeam?.team_name || null,
+    player_count: players.length,
+  };
+};
+
+const findTrashEntry = async (id) => {
+  const entry = await db.get('trash', toInt(id));
+  if (!entry) throw notFound('Trash entry');
+  return entry;
+};
+
+/**
+ * Check whether a deleted player's number was given to a teammate since
+ * @param {Object} record - Player as deleted
+ * @returns {Promise<boolean>}
+ */
+const takenJerseyNumber = async (record) => {
+  if (record.team_id === null || record.jersey_number === null) return false;
+  const roster = (await db.getAll('players')).filter((player) => player.team_id === record.team_id);
+  return Boolean(findJerseyConflict(record.jersey_number, roster, { excludeId: record.id }));
+};
+
+/**
+ * Describe what restoring an entry will do
+ * @returns {Promise<Array<string>>} Warnings to show before restoring
+ */
+const restoreWarnings = async (entry) => {
+  const warnings = [];
+  if (entry.entity === 'player' && entry.record.team_id !== null && !(await db.get('teams', entry.record.team_id))) {
+    warnings.push('The player\'s team no longer exists, so they will be restored to the global pool.');
+  } else if (entry.entity === 'player' && await takenJerseyNumber(entry.record)) {
+    warnings.push(`Someone else in the team now wears #${entry.record.jersey_number}, so the player will be restored without a number.`);
+  }
+  if (entry.entity === 'team') {
+    const teams = await db.getAll('teams');
+    if (teams.some((team) => team.team_name.toLowerCase() === entry.record.team_name.toLowerCase())) {
+      warnings.push(`Another team is already called ${entry.record.team_name}.`);
+    }
+  }
+  return warnings;
+};
+
+const findTeam = async (id) => {
+  const team = await db.get('teams', toInt(id));
+  if (!team) throw notFound('Team');
+  return team;
+};
+
+const findPlayer = async (id) => {
+  const player = await db.get('players', toInt(id));
+  if (!player) throw notFound('Player');
+  return player;
+};
+
+const validatePlayer = (data) => {
+  if (!data?.player_name?.trim()) {
+    throw new MockHttpError(400, 'Player name is required');
+  }
+  const problem = validatePlayerProfile(data);
+  if (problem) throw new MockHttpError(400, problem);
+};
+
+/**
+ * Pick the profile fields out of a request, blank ones as null
+ * @param {Object} data - Request body
+ * @param {Object} current - Stored player, for fields the request leaves out
+ */
+const profileFields = (data, current = {}) =>
+  Object.fromEntries(PROFILE_FIELDS.map((field) => {
+    const value = data[field] === undefined ? current[field] : data[field];
+    return [field, typeof value === 'string' ? value.trim() || null : value ?? null];
+  }));
+
+/**
+ * Store a position under its catalogue role
+ * Positions from before the catalogue may stay as they are, but a new
+ * or changed one has to be in it.
+ * @param {Object} data - Request body
+ * @param {Object} current - Stored player, when updating
+ */
+const positionField = (data, current = {}) => {
+  if (data.position === undefined) return current.position ?? null;
+  const position = typeof data.position === 'string' ? data.position.trim() : data.position;
+  if (!position) return null;
+  if (position === current.position) return position;
+  const role = resolveRole(position);
+  if (!role) throw new MockHttpError(400, `Unknown role: ${position}`);
+  return role;
+};
+
+/**
+ * Reject a jersey number someone else in the team already wears
+ * @param {number|null} teamId - Team the player will be in
+ * @param {number|null} number - Jersey number they will wear
+ * @param {number|null} playerId - The player themselves, when updating
+ */
+const checkJerseyNumber = async (teamId, number, playerId = null) => {
+  if (teamId === null || number === null) return;
+  const roster = (await db.getAll('players')).filter((player) => player.team_id === teamId);
+  const conflict = findJerseyConflict(number, roster, { excludeId: playerId });
+  if (!conflict) return;
+  const team = await db.get('teams', teamId);
+  const free = suggestJerseyNumbers(roster, { near: number, excludeId: playerId });
+  throw new MockHttpError(
+    409,
+    `${describeJerseyConflict(number, conflict, team?.team_name)}. Free numbers: ${free.join(', ')}`
+  );
+};
+
+/**
+ * Validate and store a new player
+ * @returns {Promise<Object>} Stored player with team_name
+ */
+const createPlayer = async (data) => {
+  validatePlayer(data);
+  const teamId = toInt(data.team_id);
+  if (teamId !== null) await findTeam(teamId);
+  await checkJerseyNumber(teamId, toInt(data.jersey_number));
+  const player = await db.add('players', {
+    player_name: data.player_name.trim(),
+    position: positionField(data),
+    jersey_number: toInt(data.jersey_number),
+    team_id: teamId,
+    ...profileFields(data),
+    created_at: new Date().toISOString(),
+  });
+  const [withTeam] = await withTeamNames([player]);
+  return withTeam;
+};
+
+const validateTeam = (data) => {
+  if (!data.team_name?.trim()) {
+    throw new MockHttpError(400, 'Team name is required');
+  }
+};
+
+// Route table: [method, path pattern, handler({ params, body, query, config })]
+const routes = [
+  ['post', '/auth/login', async ({ body }) => {
+    const users = await db.getAll('users');
+    const user = users.find((u) => u.username === body.username && u.password === body.password);
+    if (!user) throw new MockHttpError(401, 'Invalid username or password');
+    if (user.disabled) throw new MockHttpError(403, 'This account has been disabled. Ask an admin to enable it.');
+    return { success: true, ...issueTokens(user), user: publicUser(user) };
+  }],
+
+  ['post', '/auth/refresh', async ({ body }) => {
+    const match = /^mock-refresh-(\d+)$/.exec(body.refreshToken || '');
+    const user = match ? await db.get('users', Number(match[1])) : null;
+    if (!user || user.disabled) throw new MockHttpError(401, 'Invalid refresh token');
+    return { success: true, ...issueTokens(user), user: publicUser(user) };
+  }],
+
+  ['post', '/auth/logout', async () => ({ success: true, message: 'Logged out' })],
+
+  ['get', '/auth/verify', async ({ config }) => {
+    const user = await requireUser(config, { passwordChange: true });
+    return { success: true, user: publicUser(user) };
+  }],
+
+  // First run: nobody can sign in until an admin account is created
+  ['get', '/auth/setup', async () => {
+    const users = await db.getAll('users');
+    return { success: true, setup_required: !users.some((user) => user.role === ROLES.ADMIN) };
+  }],
+
+  ['post', '/auth/setup', async ({ body }) => {
+    const users = await db.getAll('users');
+    if (users.some((user) => user.role === ROLES.ADMIN)) {
+      throw new MockHttpError(409, 'The league already has an admin');
+    }
+    const username = (body.username || '').trim();
+    if (!username) throw new MockHttpError(400, 'Username is required');
+    if (users.some((user) => user.username === username)) {
+      throw new MockHttpError(409, `Username ${username} is taken`);
+    }
+    requireValidPassword(body.password, username);
+
+    const user = await db.add('users', {
+      username,
+      password: body.password,
+      role: ROLES.ADMIN,
+      team_ids: [],
+      created_at: new Date().toISOString(),
+    });
+    return { status: 201, body: { success: true, ...issueTokens(user), user: publicUser(user) } };
+  }],
+
+  ['post', '/auth/password', async ({ body, config }) => {
+    const user = await requireUser(config, { passwordChange: true });
+    if (body.current_password !== user.password) {
+      throw new MockHttpError(400, 'Current password is incorrect');
+    }
+    if (body.new_password === user.password) {
+      throw new MockHttpError(400, 'Choose a password different from the current one');
+    }
+    requireValidPassword(body.new_password, user.username);
+
+    const updated = await db.put('users', { ...user, password: body.new_password, must_change_password: false });
+    return { success: true, user: publicUser(updated) };
+  }],
+
+  ['get', '/users', async ({ config }) => {
+    await requireUserAdmin(config, 'Only admins can manage users');
+    const users = await db.getAll('users');
+    return { success: true, data: users.map(publicUser) };
+  }],
+
+  // New users sign in with a temporary password and must change it
+  ['post', '/users', async ({ body, config }) => {
+    await requireUserAdmin(config, 'Only admins can add users');
+    const username = (body.username || '').trim();
+    if (!username) throw new MockHttpError(400, 'Username is required');
+    const users = await db.getAll('users');
+    if (users.some((user) => user.username === username)) {
+      throw new MockHttpError(409, `Username ${username} is taken`);
+    }
+    requireValidPassword(body.password, username);
+
+    const user = await db.add('users', {
+      username,
+      password: body.password,
+      ...(await validateUserAccess(body)),
+      must_change_password: true,
+      disabled: false,
+      created_at: new Date().toISOString(),
+    });
+    return { status: 201, body: { success: true, data: publicUser(user) } };
+  }],
+
+  // body: { role, team_ids, disabled } - any of them
+  ['put', '/users/:id', async ({ params, body, config }) => {
+    const actor = await requireUserAdmin(config, 'Only admins can change users');
+    const user = await findUser(params.id);
+    const access = await validateUserAccess({
+      role: body.role ?? user.role,
+      team_ids: body.team_ids ?? user.team_ids,
+    });
+    const updated = {
+      ...user,
+      ...access,
+      disabled: body.disabled === undefined ? Boolean(user.disabled) : Boolean(body.disabled),
+    };
+
+    if (user.id === actor.id && !isActiveAdmin(updated)) {
+      throw new MockHttpError(400, 'You cannot disable your own account or remove your own admin role');
+    }
+    const users = await db.getAll('users');
+    if (isActiveAdmin(user) && !isActiveAdmin(updated) && users.filter(isActiveAdmin).length === 1) {
+      throw new MockHttpError(400, 'The league needs at least one active admin');
+    }
+
+    await db.put('users', updated);
+    return { success: true, data: publicUser(updated) };
+  }],
+
+  ['post', '/users/:id/reset-password', async ({ params, body, config }) => {
+    await requireUserAdmin(config, 'Only admins can reset passwords');
+    const user = await findUser(params.id);
+    requireValidPassword(body.password, user.username);
+    const updated = await db.put('users', { ...user, password: body.password, must_change_password: true });
+    return { success: true, data: publicUser(updated) };
+  }],
+
+  ['get', '/teams', async ({ config }) => {
+    await requireUser(config);
+    return { success: true, data: await withPlayerCounts(await db.getAll('teams')) };
+  }],
+
+  ['get', '/teams/:id', async ({ params, config }) => {
+    await requireUser(config);
+    const [team] = await withPlayerCounts([await findTeam(params.id)]);
+    return { success: true, data: team };
+  }],
+
+  ['get', '/teams/:id/hierarchy', async ({ params, config }) => {
+    const user = await requireUser(config);
+    const team = await findTeam(params.id);
+    const players = (await db.getAll('players')).filter((player) => player.team_id === team.id);
+    return {
+      success: true,
+      data: { ...team, player_count: players.length, players: withContactsFor(user, await withTeamNames(players)) },
+    };
+  }],
+
+  ['post', '/teams', async ({ body, config }) => {
+    const user = await requireUser(config);
+    authorize(user, 'team:create', [], 'Only admins can create teams');
+    validateTeam(body);
+    const team = await db.add('teams', {
+      team_name: body.team_name.trim(),
+      team_logo: body.team_logo || '⚽',
+      team_color: body.team_color || '#0ea5e9',
+      description: body.description || '',
+      created_at: new Date().toISOString(),
+    });
+    await recordAudit(user, 'create', 'team', null, team);
+    return { status: 201, body: { success: true, data: { ...team, player_count: 0 } } };
+  }],
+
+  ['put', '/teams/:id', async ({ params, body, config }) => {
+    const user = await requireUser(config);
+    validateTeam(body);
+    const team = await findTeam(params.id);
+    authorize(user, 'team:update', [team], 'You can only edit your own team');
+    const updated = await db.put('teams', {
+      ...team,
+      team_name: body.team_name.trim(),
+      team_logo: body.team_logo === undefined ? team.team_logo : body.team_logo || '⚽',
+      team_color: body.team_color === undefined ? team.team_color : body.team_color || '#0ea5e9',
+      description: body.description === undefined ? team.description : body.description || '',
+    });
+    await recordAudit(user, 'update', 'team', team, updated);
+    const [withCount] = await withPlayerCounts([updated]);
+    return { success: true, data: withCount };
+  }],
+
+  ['delete', '/teams/:id', async ({ params, config }) => {
+    const user = await requireUser(config);
+    authorize(user, 'team:delete', [], 'Only admins can delete teams');
+    const team = await findTeam(params.id);
+    // Deleting a team moves its players to the trash with it
+    const players = (await db.getAll('players')).filter((player) => player.team_id === team.id);
+    const beforePlayers = await withTeamNames(players);
+    const entry = await moveToTrash(user, 'team', team, players);
+    await recordAudit(user, 'delete', 'team', team, null);
+    for (const player of beforePlayers) {
+      await recordAudit(user, 'delete', 'player', player, null);
+    }
+    return { success: true, message: 'Team moved to trash', trash_id: entry.id };
+  }],
+
+  ['get', '/players', async ({ query, config }) => {
+    const user = await requireUser(config);
+    const players = withContactsFor(user, sortPlayers(
+      filterPlayers(await withTeamNames(await db.getAll('players')), query.q),
+      query.sort
+    ));
+    // Without a page the whole (filtered) list is returned, like before paging existed
+    if (!query.page) return { success: true, data: players };
+
+    const page = Math.max(1, toInt(query.page) || 1);
+    const pageSize = Math.max(1, toInt(query.pageSize) || 10);
+    return {
+      success: true,
+      data: paginate(players, page, pageSize),
+      pagination: { page, pageSize, total: players.length, totalPages: Math.ceil(players.length / pageSize) },
+    };
+  }],
+
+  ['get', '/players/global', async ({ config }) => {
+    const user = await requireUser(config);
+    const players = (await db.getAll('players')).filter((player) => player.team_id === null);
+    return { success: true, data: withContactsFor(user, await withTeamNames(players)) };
+  }],
+
+  ['get', '/players/search', async ({ query, config }) => {
+    const user = await requireUser(config);
+    const players = filterPlayers(await withTeamNames(await db.getAll('players')), query.q);
+    return { success: true, data: withContactsFor(user, players) };
+  }],
+
+  ['get', '/players/duplicates', async ({ query, config }) => {
+    const user = await requireUser(config);
+    authorize(user, 'players:merge', [], 'Only admins can merge players');
+    const pairs = findDuplicatePairs(await withTeamNames(await db.getAll('players')));
+    const page = Math.max(1, toInt(query.page) || 1);
+    const pageSize = Math.max(1, toInt(query.pageSize) || 10);
+    return {
+      success: true,
+      data: paginate(pairs, page, pageSize),
+      pagination: { page, pageSize, total: pairs.length, totalPages: Math.ceil(pairs.length / pageSize) },
+    };
+  }],
+
+  ['post', '/players/duplicates/check', async ({ body, config }) => {
+    const user = await requireUser(config);
+    if (!Array.isArray(body.names)) throw new MockHttpError(400, 'names must be a list');
+    if (body.names.length > BATCH_LIMIT) {
+      throw new MockHttpError(413, `At most ${BATCH_LIMIT} names per check`);
+    }
+    const players = withContactsFor(user, await withTeamNames(await db.getAll('players')));
+    return {
+      success: true,
+      data: body.names.map((name) => findDuplicates(String(name ?? ''), players).slice(0, DUPLICATE_MATCH_LIMIT)),
+    };
+  }],
+
+  ['get', '/players/:id', async ({ params, config }) => {
+    const user = await requireUser(config);
+    const [player] = withContactsFor(user, await withTeamNames([await findPlayer(params.id)]));
+    return { success: true, data: player };
+  }],
+
+  ['post', '/players', async ({ body, config }) => {
+    const user = await requireUser(config);
+    authorize(user, 'player:create', [{ team_id: toInt(body.team_id) }], 'You can only add players to your own team');
+    const player = await createPlayer(body);
+    await recordAudit(user, 'create', 'player', null, player);
+    return { status: 201, body: { success: true, data: player } };
+  }],
+
+  ['post', '/players/batch', async ({ body, config }) => {
+    const user = await requireUser(config);
+    if (!Array.isArray(body.players)) throw new MockHttpError(400, 'players must be a list');
+    if (body.players.length > BATCH_LIMIT) {
+      throw new MockHttpError(413, `At most ${BATCH_LIMIT} players per batch`);
+    }
+    // Each row succeeds or fails on its own
+    const results = [];
+    for (const [index, data] of body.players.entries()) {
+      try {
+        authorize(user, 'player:create', [{ team_id: toInt(data?.team_id) }], 'You can only add players to your own team');
+        const player = await createPlayer(data);
+        await recordAudit(user, 'create', 'player', null, player);
+        results.push({ index, success: true, data: player });
+      } catch (err) {
+        if (!err.status) throw err;
+        results.push({ index, success: false, message: err.message });
+      }
+    }
+    return { success: true, data: results };
+  }],
+
+  ['put', '/players/:id/assign', async ({ params, body, config }) => {
+    const user = await requireUser(config);
+    const player = await findPlayer(params.id);
+    const team = await findTeam(body.team_id);
+    authorize(user, 'player:assign', [player, team.id], 'You can only pick global players for your own team');
+    // A new number may be given to settle a clash with the new teammates
+    const jerseyNumber = body.jersey_number === undefined ? player.jersey_number : toInt(body.jersey_number);
+    await checkJerseyNumber(team.id, jerseyNumber, player.id);
+    const updated = await db.put('players', { ...player, team_id: team.id, jersey_number: jerseyNumber });
+    const [before, withTeam] = await withTeamNames([player, updated]);
+    await recordAudit(user, 'assign', 'player', before, withTeam);
+    return { success: true, data: withTeam };
+  }],
+
+  ['put', '/players/:id/unassign', async ({ params, config }) => {
+    const user = await requireUser(config);
+    const player = await findPlayer(params.id);
+    authorize(user, 'player:unassign', [player], 'You can only release players from your own team');
+    const updated = await db.put('players', { ...player, team_id: null });
+    const [before, withTeam] = await withTeamNames([player, updated]);
+    await recordAudit(user, 'unassign', 'player', before, withTeam);
+    // Owners lose sight of the contacts once the player is in the global pool
+    const [visible] = withContactsFor(user, [withTeam]);
+    return { success: true, data: visible };
+  }],
+
+  ['put', '/players/:id', async ({ params, body, config }) => {
+    const user = await requireUser(config);
+    validatePlayer(body);
+    const player = await findPlayer(params.id);
+    const teamId = body.team_id === undefined ? player.team_id : toInt(body.team_id);
+    authorize(user, 'player:update', [player, { team_id: teamId }], 'You can only edit players in your own team');
+    if (teamId !== null) await findTeam(teamId);
+    const jerseyNumber = toInt(body.jersey_number);
+    // Clashes from before numbers were checked don't block unrelated edits
+    if (jerseyNumber !== player.jersey_number || teamId !== player.team_id) {
+      await checkJerseyNumber(teamId, jerseyNumber, player.id);
+    }
+    // Only the editable fields are taken from the request
+    const updated = await db.put('players', {
+      ...player,
+      player_name: body.player_name.trim(),
+      jersey_number: jerseyNumber,
+      team_id: teamId,
+      position: positionField(body, player),
+      ...profileFields(body, player),
+    });
+    const [before, withTeam] = await withTeamNames([player, updated]);
+    await recordAudit(user, 'update', 'player', before, withTeam);
+    return { success: true, data: withTeam };
+  }],
+
+  ['delete', '/players/:id', async ({ params, config }) => {
+    const user = await requireUser(config);
+    const player = await findPlayer(params.id);
+    authorize(user, 'player:delete', [player], 'You can only delete players in your own team');
+    const [before] = await withTeamNames([player]);
+    const entry = await moveToTrash(user, 'player', player);
+    await recordAudit(user, 'delete', 'player', before, null);
+    return { success: true, message: 'Player moved to trash', trash_id: entry.id };
+  }],
+
+  ['get', '/trash', async ({ config }) => {
+    await requireTrashAdmin(config, 'Only admins can view the trash');
+    const entries = (await db.getAll('trash')).reverse();
+    return { success: true, data: await Promise.all(entries.map(trashSummary)) };
+  }],
+
+  ['get', '/trash/settings', async ({ config }) => {
+    await requireUser(config);
+    return { success: true, data: { retention_days: await getTrashRetentionDays() } };
+  }],
+
+  ['put', '/trash/settings', async ({ body, config }) => {
+    await requireTrashAdmin(config, 'Only admins can change trash settings');
+    const days = toInt(body.retention_days);
+    if (!days || days < 1 || days > 365) {
+      throw new MockHttpError(400, 'Retention must be between 1 and 365 days');
+    }
+    await db.put('meta', { key: 'trashRetentionDays', value: days });
+    return { success: true, data: { retention_days: days } };
+  }],
+
+  ['get', '/trash/:id', async ({ params, config }) => {
+    await requireTrashAdmin(config, 'Only admins can view the trash');
+    const entry = await findTrashEntry(params.id);
+    return {
+      success: true,
+      data: {
+        ...(await trashSummary(entry)),
+        record: entry.entity === 'team' ? entry.record : (await withTeamNames([entry.record]))[0],
+        players: entry.players.map((player) => ({ ...player, team_name: entry.entity_name })),
+        warnings: await restoreWarnings(entry),
+      },
+    };
+  }],
+
+  ['post', '/trash/:id/restore', async ({ params, config }) => {
+    const user = await requireUser(config);
+    const entry = await findTrashEntry(params.id);
+    // Whoever deleted something can undo it; anything else needs an admin
+    if (!can(user, 'trash:manage') && entry.deleted_by.id !== user.id) {
+      throw new MockHttpError(403, 'Only admins can restore this');
+    }
+
+    const warnings = await restoreWarnings(entry);
+    if (entry.entity === 'team') {
+      await db.put('teams', entry.record);
+      await Promise.all(entry.players.map((player) => db.put('players', player)));
+      await recordAudit(user, 'restore', 'team', null, entry.record);
+      for (const player of await withTeamNames(entry.players)) {
+        await recordAudit(user, 'restore', 'player', null, player);
+      }
+    } else {
+      const teamExists = entry.record.team_id !== null && await db.get('teams', entry.record.team_id);
+      const jerseyNumber = await takenJerseyNumber(entry.record) ? null : entry.record.jersey_number;
+      const player = await db.put('players', {
+        ...entry.record,
+        team_id: teamExists ? entry.record.team_id : null,
+        jersey_number: jerseyNumber,
+      });
+      const [withTeam] = await withTeamNames([player]);
+      await recordAudit(user, 'restore', 'player', null, withTeam);
+    }
+    await db.remove('trash', entry.id);
+    return {
+      success: true,
+      message: `${entry.entity_name} restored`,
+      data: { entity: entry.entity, id: entry.entity_id, warnings },
+    };
+  }],
+
+  ['delete', '/trash/:id', async ({ params, config }) => {
+    const user = await requireTrashAdmin(config, 'Only admins can empty the trash');
+    const entry = await findTrashEntry(params.id);
+    await db.remove('trash', entry.id);
+    await recordAudit(user, 'purge', entry.entity, entry.record, null);
+    return { success: true, message: `${entry.entity_name} deleted permanently` };
+  }],
+
+  // Public league pages: read-only and no token needed
+  ['get', '/public/teams', async () => {
+    const teams = await withPlayerCounts(await db.getAll('teams'));
+    return { success: true, data: teams.map(toPublicTeam) };
+  }],
+
+  ['get', '/public/teams/:id', async ({ params }) => {
+    const team = await findTeam(params.id);
+    const players = (await db.getAll('players')).filter((player) => player.team_id === team.id);
+    return {
+      success: true,
+      data: {
+        ...toPublicTeam({ ...team, player_count: players.length }),
+        players: (await withTeamNames(players)).map(toPublicPlayer),
+      },
+    };
+  }],
+
+  ['get', '/public/players/global', async () => {
+    const players = (await db.getAll('players')).filter((player) => player.team_id === null);
+    return { success: true, data: (await withTeamNames(players)).map(toPublicPlayer) };
+  }],
+
+  ['get', '/audit', async ({ query, config }) => {
+    const user = await requireUser(config);
+    const teamId = toInt(query.team_id);
+    const playerId = toInt(query.player_id);
+    // Owners may read the history of their own players
+    if (playerId !== null && !can(user, 'activity:view')) {
+      const player = await findPlayer(playerId);
+      authorize(user, 'player:history', [player], 'You can only view the history of players in your own team');
+    } else {
+      authorize(user, 'activity:view', [], 'Only admins can view the activity log');
+    }
+    const actor = (query.actor || '').trim().toLowerCase();
+    const playerName = (query.player || '').trim().toLowerCase();
+
+    const entries = (await db.getAll('audit'))
+      .filter((entry) => !actor || entry.actor.username.toLowerCase().includes(actor))
+      .filter((entry) => teamId === null || entry.team_ids.includes(teamId))
+      .filter((entry) => playerId === null || (entry.entity === 'player' && entry.entity_id === playerId))
+      .filter((entry) => !playerName || (entry.entity === 'player' && entry.entity_name.toLowerCase().includes(playerName)))
+      .reverse();
+
+    const page = Math.max(1, toInt(query.page) || 1);
+    const pageSize = Math.max(1, toInt(query.pageSize) || 20);
+    return {
+      success: true,
+      data: paginate(entries, page, pageSize),
+      pagination: { page, pageSize, total: entries.length, totalPages: Math.ceil(entries.length / pageSize) },
+    };
+  }],
+].map(([method, path, handler]) => ({
+  method,
+  handler,
+  keys: [...path.matchAll(/:(\w+)/g)].map((m) => m[1]),
+  pattern: new RegExp(`^${path.replace(/:(\w+)/g, '([^/]+)')}$`),
+}));
+
+/**
+ * Find the route matching a request
+ * @returns {Object|null} { handler, params }
+ */
+const matchRoute = (method, path) => {
+  for (const route of routes) {
+    if (route.method !== method) continue;
+    const match = route.pattern.exec(path);
+    if (match) {
+      const params = Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+      return { handler: route.handler, params };
+    }
+  }
+  return null;
+};
+
+const parseBody = (data) => {
+  if (!data) return {};
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+  return data;
+};
+
+/**
+ * Axios adapter entry point
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+const mockAdapter = async (config) => {
+  if (!ready) ready = seedIfNeeded();
+  await ready;
+
+  if (LATENCY > 0) {
+    await new Promise((resolve) => setTimeout(resolve, LATENCY));
+  }
+
+  // Like a real request, an aborted one never reaches the server
+  if (config.signal?.aborted) {
+    throw new CanceledError(null, config);
+  }
+
+  const method = (config.method || 'get').toLowerCase();
+  const [path, search = ''] = (config.url || '').split('?');
+  const query = { ...Object.fromEntries(new URLSearchParams(search)), ...(config.params || {}) };
+
+  if (path.startsWith('/trash') || Date.now() - lastPurge >= PURGE_INTERVAL) {
+    lastPurge = Date.now();
+    await purgeExpiredTrash();
+  }
+
+  let status = 200;
+  let body;
+
+  try {
+    const route = matchRoute(method, path);
+    if (!route) throw new MockHttpError(404, `No mock route for ${method.toUpperCase()} ${path}`);
+
+    const result = await route.handler({ params: route.params, body: parseBody(config.data), query, config });
+    if (result && result.body && result.status) {
+      status = result.status;
+      body = result.body;
+    } else {
+      body = result;
+    }
+  } catch (err) {
+    status = err.status || 500;
+    body = { success: false, message: err.message };
+    if (!err.status) console.error('Mock backend error:', err);
+  }
+
+  const response = {
+    data: body,
+    status,
+    statusText: String(status),
+    headers: { 'content-type': 'application/json' },
+    config,
+    request: {},
+  };
+
+  if (status < 400 && method !== 'get') {
+    publishChange(method, path, body);
+  }
+
+  if (status >= 400) {
+    throw new AxiosError(
+      body.message,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+
+  return response;
+};
+
+export default mockAdapter;
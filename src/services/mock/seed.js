@@ -0,0 +1,94 @@
+/**
+ * Mock Seed Data
+ * Sample league loaded into the mock backend on first use
+ */
+
+import { add, clear, get, put, STORES } from './db';
+
+const SEED_VERSION = 3;
+
+// There is no admin: the first visit runs the setup that creates one.
+// These sample accounts must change their temporary password on first sign in.
+// teams: indexes into TEAMS that an owner manages
+const USERS = [
+  { username: 'owner', password: 'owner123', role: 'owner', teams: [0] },
+  { username: 'viewer', password: 'viewer123', role: 'viewer', teams: [] },
+];
+
+const TEAMS = [
+  { team_name: 'Harathalu Hawks', team_logo: '🏏', team_color: '#0ea5e9', description: 'Champions of the 2024 season' },
+  { team_name: 'Humcha Hurricanes', team_logo: '🔥', team_color: '#ef4444', description: 'Fast bowlers, faster fielders' },
+  { team_name: 'Mattimane Mavericks', team_logo: '⭐', team_color: '#10b981', description: '' },
+  { team_name: 'Mgudde Monarchs', team_logo: '🏆', team_color: '#8b5cf6', description: 'New entrants this year' },
+];
+
+// [name, position, jersey, team index (null = global pool)]
+const PLAYERS = [
+  ['Manju Harathalu', 'Batsman', 7, 0],
+  ['Abhi Harathalu', 'Bowler', 11, 0],
+  ['Subramanya K', 'Wicket Keeper', 1, 0],
+  ['Sujaya', 'Batting All Rounder', 18, 0],
+  ['Venki', 'Batsman', 45, 0],
+  ['Bhaskar J', 'Bowler', 9, 1],
+  ['Ajay Humcha', 'All Rounder', 10, 1],
+  ['Gani', 'Batting All Rounder', 23, 1],
+  ['Sonu', 'Batsman', 3, 1],
+  ['Naga Mgudde', 'Wicket Keeper', 77, 2],
+  ['Sharath Mattimane', 'Bowling All Rounder', 8, 2],
+  ['Mithun', 'Batsman', 12, 2],
+  ['Punith', 'Bowler', 99, 3],
+  ['Kumara', 'Batsman', 5, 3],
+  ['Gagan', 'Bowler', null, null],
+  ['Ravi Kodur', 'All Rounder', null, null],
+  ['Prakash', 'Batsman', 21, null],
+  ['Deepak N', 'Wicket Keeper', null, null],
+];
+
+/**
+ * Load the sample league into an empty database
+ * Runs once per seed version; call resetMockData() to start over.
+ */
+export const seedIfNeeded = async () => {
+  const seeded = await get('meta', 'seedVersion');
+  if (seeded?.value === SEED_VERSION) return;
+
+  await Promise.all(STORES.map(clear));
+
+  const now = new Date().toISOString();
+
+  const teamIds = [];
+  for (const team of TEAMS) {
+    const created = await add('teams', { ...team, created_at: now });
+    teamIds.push(created.id);
+  }
+
+  for (const { teams, ...user } of USERS) {
+    await add('users', {
+      ...user,
+      team_ids: teams.map((index) => teamIds[index]),
+      must_change_password: true,
+      disabled: false,
+      created_at: now,
+    });
+  }
+
+  for (const [player_name, position, jersey_number, teamIndex] of PLAYERS) {
+    await add('players', {
+      player_name,
+      position,
+      jersey_number,
+      team_id: teamIndex === null ? null : teamIds[teamIndex],
+      created_at: now,
+    });
+  }
+
+  await put('meta', { key: 'seedVersion', value: SEED_VERSION });
+};
+
+/**
+ * Throw away all mock data and reseed the sample league
+ */
+export const resetMockData = async () => {
+  await clear('meta');
+  await seedIfNeeded();
+};
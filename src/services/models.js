@@ -0,0 +1,282 @@
+/**
+ * Models
+ * Validates API payloads and normalizes them into canonical
+ * Player, Team and User objects with defaults
+ *
+ * Components only ever see these shapes. A record that can't be read is
+ * reported here and left out of its list, instead of crashing a view.
+ */
+
+export const DEFAULT_TEAM_LOGO = '⚽';
+export const DEFAULT_TEAM_COLOR = '#0ea5e9';
+
+/**
+ * Error for a payload that doesn't match the expected model
+ */
+export class ResponseSchemaError extends Error {
+  constructor(model, message, payload) {
+    super(`Invalid ${model}: ${message}`);
+    this.name = 'ResponseSchemaError';
+    this.model = model;
+    this.payload = payload;
+  }
+}
+
+const reported = new Set();
+
+/**
+ * Log a malformed payload once per distinct problem
+ * @param {ResponseSchemaError} error - The problem found
+ */
+export const reportSchemaError = (error) => {
+  if (reported.has(error.message)) return;
+  reported.add(error.message);
+  console.error('Malformed API response:', error.message, error.payload);
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toId = (value) => {
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  if (typeof value === 'string' && value.trim() !== '') {
+    return /^\d+$/.test(value) ? Number(value) : value;
+  }
+  return null;
+};
+
+const toIntOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+const toStringOrNull = (value) =>
+  value === null || value === undefined || value === '' ? null : String(value);
+
+/**
+ * Check the fields every model needs
+ */
+const requireFields = (model, raw, nameField) => {
+  if (!isObject(raw)) {
+    throw new ResponseSchemaError(model, 'expected an object', raw);
+  }
+  if (toId(raw.id) === null) {
+    throw new ResponseSchemaError(model, 'missing id', raw);
+  }
+  if (typeof raw[nameField] !== 'string') {
+    throw new ResponseSchemaError(model, `missing ${nameField}`, raw);
+  }
+};
+
+/**
+ * Normalize a player
+ * @param {Object} raw - Player from the API
+ * @returns {Object} Player, with the registration profile fields set to
+ *   null when the API leaves them out (e.g. contact details on public pages)
+ */
+export const normalizePlayer = (raw) => {
+  requireFields('player', raw, 'player_name');
+  return {
+    id: toId(raw.id),
+    player_name: raw.player_name,
+    position: toStringOrNull(raw.position),
+    jersey_number: toIntOrNull(raw.jersey_number),
+    team_id: toId(raw.team_id),
+    team_name: toStringOrNull(raw.team_name),
+    photo_url: toStringOrNull(raw.photo_url),
+    date_of_birth: toStringOrNull(raw.date_of_birth),
+    batting_hand: raw.batting_hand === 'left' || raw.batting_hand === 'right' ? raw.batting_hand : null,
+    bowling_style: toStringOrNull(raw.bowling_style),
+    locality: toStringOrNull(raw.locality),
+    phone: toStringOrNull(raw.phone),
+    emergency_contact_name: toStringOrNull(raw.emergency_contact_name),
+    emergency_contact_phone: toStringOrNull(raw.emergency_contact_phone),
+    created_at: toStringOrNull(raw.created_at),
+  };
+};
+
+/**
+ * Normalize a team, including its players when present
+ * @param {Object} raw - Team from the API
+ * @returns {Object} Team
+ */
+export const normalizeTeam = (raw) => {
+  requireFields('team', raw, 'team_name');
+  const players = Array.isArray(raw.players) ? normalizeList(normalizePlayer, raw.players, 'player') : undefined;
+  return {
+    id: toId(raw.id),
+    team_name: raw.team_name,
+    team_logo: raw.team_logo || DEFAULT_TEAM_LOGO,
+    team_color: raw.team_color || DEFAULT_TEAM_COLOR,
+    // Older endpoints call it team_description
+    description: raw.description ?? raw.team_description ?? '',
+    player_count: toIntOrNull(raw.player_count) ?? players?.length ?? 0,
+    created_at: toStringOrNull(raw.created_at),
+    ...(players && { players }),
+  };
+};
+
+/**
+ * Normalize a signed-in user
+ * @param {Object} raw - User from the API
+ * @returns {Object} User; team_ids lists the teams an owner manages, and
+ *   must_change_password is set while the user has a temporary password
+ */
+export const normalizeUser = (raw) => {
+  requireFields('user', raw, 'username');
+  return {
+    id: toId(raw.id),
+    username: raw.username,
+    role: toStringOrNull(raw.role),
+    team_ids: Array.isArray(raw.team_ids) ? raw.team_ids.map(toId).filter((id) => id !== null) : [],
+    must_change_password: Boolean(raw.must_change_password),
+    disabled: Boolean(raw.disabled),
+    created_at: toStringOrNull(raw.created_at),
+  };
+};
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'assign', 'unassign', 'restore', 'purge'];
+
+/**
+ * Normalize a snapshot inside an audit entry, keeping the entry readable
+ * even when an old snapshot no longer matches the model
+ */
+const normalizeSnapshot = (normalize, snapshot) => {
+  if (snapshot === null || snapshot === undefined) return null;
+  try {
+    return normalize(snapshot);
+  } catch (err) {
+    if (!(err instanceof ResponseSchemaError)) throw err;
+    reportSchemaError(err);
+    return null;
+  }
+};
+
+/**
+ * Normalize an audit log entry
+ * @param {Object} raw - Entry from the API
+ * @returns {Object} { id, action, entity, entity_id, entity_name, team_ids, actor, at, before, after }
+ */
+export const normalizeAuditEntry = (raw) => {
+  if (!isObject(raw) || toId(raw.id) === null) {
+    throw new ResponseSchemaError('audit entry', 'missing id', raw);
+  }
+  if (!AUDIT_ACTIONS.includes(raw.action)) {
+    throw new ResponseSchemaError('audit entry', `unknown action ${raw.action}`, raw);
+  }
+  const normalize = raw.entity === 'team' ? normalizeTeam : normalizePlayer;
+  return {
+    id: toId(raw.id),
+    action: raw.action,
+    entity: raw.entity === 'team' ? 'team' : 'player',
+    entity_id: toId(raw.entity_id),
+    entity_name: toStringOrNull(raw.entity_name),
+    team_ids: Array.isArray(raw.team_ids) ? raw.team_ids.map(toId).filter((id) => id !== null) : [],
+    actor: {
+      id: toId(raw.actor?.id),
+      username: toStringOrNull(raw.actor?.username) || 'unknown',
+    },
+    at: toStringOrNull(raw.at),
+    before: normalizeSnapshot(normalize, raw.before),
+    after: normalizeSnapshot(normalize, raw.after),
+  };
+};
+
+/**
+ * Normalize a trash entry; the detail endpoint also sends the deleted
+ * record, the players a team had and warnings about restoring it
+ * @param {Object} raw - Entry from the API
+ * @returns {Object} { id, entity, entity_id, entity_name, team_name, player_count, deleted_by, deleted_at, expires_at, record?, players?, warnings? }
+ */
+export const normalizeTrashEntry = (raw) => {
+  if (!isObject(raw) || toId(raw.id) === null) {
+    throw new ResponseSchemaError('trash entry', 'missing id', raw);
+  }
+  const entity = raw.entity === 'team' ? 'team' : 'player';
+  const players = Array.isArray(raw.players) ? normalizeList(normalizePlayer, raw.players, 'player') : undefined;
+  return {
+    id: toId(raw.id),
+    entity,
+    entity_id: toId(raw.entity_id),
+    entity_name: toStringOrNull(raw.entity_name),
+    team_name: toStringOrNull(raw.team_name),
+    player_count: toIntOrNull(raw.player_count) ?? players?.length ?? 0,
+    deleted_by: {
+      id: toId(raw.deleted_by?.id),
+      username: toStringOrNull(raw.deleted_by?.username) || 'unknown',
+    },
+    deleted_at: toStringOrNull(raw.deleted_at),
+    expires_at: toStringOrNull(raw.expires_at),
+    ...(raw.record && { record: (entity === 'team' ? normalizeTeam : normalizePlayer)(raw.record) }),
+    ...(players && { players }),
+    ...(Array.isArray(raw.warnings) && { warnings: raw.warnings.map(String) }),
+  };
+};
+
+/**
+ * Normalize a likely duplicate found by the server
+ * @param {Object} raw - { player, score }
+ * @returns {Object} { player, score }
+ */
+export const normalizeDuplicateMatch = (raw) => ({
+  player: normalizePlayer(raw?.player),
+  score: Number(raw?.score) || 0,
+});
+
+/**
+ * Normalize a pair of players that look like the same person
+ * @param {Object} raw - { first, second, score }
+ * @returns {Object} { first, second, score }
+ */
+export const normalizeDuplicatePair = (raw) => ({
+  first: normalizePlayer(raw?.first),
+  second: normalizePlayer(raw?.second),
+  score: Number(raw?.score) || 0,
+});
+
+/**
+ * Normalize the per-row results of a batch create
+ * @param {Array} results - [{ index, success, data, message }] from the API
+ * @returns {Array} Results with normalized players
+ */
+export const normalizeBatchResults = (results) => {
+  if (!Array.isArray(results)) {
+    throw new ResponseSchemaError('batch result', 'expected a list', results);
+  }
+  return results.map((result, position) => {
+    const index = Number.isInteger(result?.index) ? result.index : position;
+    if (!result?.success) {
+      return { index, success: false, message: result?.message || 'Rejected by the server' };
+    }
+    try {
+      return { index, success: true, data: normalizePlayer(result.data) };
+    } catch (err) {
+      if (!(err instanceof ResponseSchemaError)) throw err;
+      // The player was created; only the echo back is unreadable
+      reportSchemaError(err);
+      return { index, success: true, data: null };
+    }
+  });
+};
+
+/**
+ * Normalize a list, dropping (and reporting) records that can't be read
+ * @param {Function} normalize - Model normalizer
+ * @param {Array} list - Records from the API
+ * @param {string} model - Model name for error messages
+ * @returns {Array}
+ */
+export const normalizeList = (normalize, list, model) => {
+  if (!Array.isArray(list)) {
+    throw new ResponseSchemaError(model, 'expected a list', list);
+  }
+  return list.reduce((result, raw) => {
+    try {
+      result.push(normalize(raw));
+    } catch (err) {
+      if (!(err instanceof ResponseSchemaError)) throw err;
+      reportSchemaError(err);
+    }
+    return result;
+  }, []);
+};
@@ -0,0 +1,179 @@
+/**
+ * Mutations
+ * Roster changes that update every cached view immediately and
+ * roll back if the server rejects them
+ */
+
+import { playersAPI } from './api';
+import {
+  getQueryData,
+  getQueryKeys,
+  getQueryState,
+  restoreQueryState,
+  setQueryData,
+} from './queryCache';
+import { queryKeys, invalidatePlayerQueries } from './queries';
+
+const hasTeam = (teamId) => teamId !== null && teamId !== undefined;
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Only touch queries that have been loaded
+const updateCached = (key, updater) => {
+  if (getQueryData(key) !== undefined) setQueryData(key, updater);
+};
+
+const findTeam = (teamId) =>
+  (getQueryData(queryKeys.teams) || []).find((team) => sameId(team.id, teamId));
+
+/**
+ * Replace, add or remove a player in a cached list
+ * @param {Array} list - Cached players
+ * @param {Object} before - Player as it was
+ * @param {Object|null} after - Player as it will be (null removes it)
+ * @param {boolean} belongs - Whether the updated player belongs in this list
+ */
+const updateList = (list, before, after, belongs) => {
+  const exists = list.some((player) => sameId(player.id, before.id));
+  if (!after || !belongs) {
+    return list.filter((player) => !sameId(player.id, before.id));
+  }
+  return exists
+    ? list.map((player) => (sameId(player.id, before.id) ? after : player))
+    : [...list, after];
+};
+
+/**
+ * Update a player in place on a cached page
+ * Pages are never added to: a new position depends on the server's
+ * sort and search, so the refetch afterwards places it.
+ * @param {Object} page - Cached page { players, total }
+ * @param {Object} before - Player as it was
+ * @param {Object|null} after - Player as it will be (null removes it)
+ */
+const updatePage = (page, before, after) => {
+  if (!page.players.some((player) => sameId(player.id, before.id))) return page;
+  if (!after) {
+    return {
+      players: page.players.filter((player) => !sameId(player.id, before.id)),
+      total: Math.max(0, page.total - 1),
+    };
+  }
+  return { ...page, players: updateList(page.players, before, after, true) };
+};
+
+/**
+ * Apply a player change to every cached view that shows it
+ * @param {Object} before - Player as it was
+ * @param {Object|null} after - Player as it will be, or null when deleted
+ */
+const applyPlayerChange = (before, after) => {
+  const oldTeamId = before.team_id;
+  const newTeamId = after ? after.team_id : null;
+  const moved = !after || !sameId(oldTeamId, newTeamId);
+
+  getQueryKeys(queryKeys.playerPages).forEach((key) => {
+    setQueryData(key, (page) => updatePage(page, before, after));
+  });
+  updateCached(queryKeys.globalPlayers, (list) => updateList(list, before, after, !hasTeam(newTeamId)));
+
+  [oldTeamId, newTeamId].filter(hasTeam).forEach((teamId) => {
+    updateCached(queryKeys.teamHierarchy(teamId), (team) => ({
+      ...team,
+      players: updateList(team.players || [], before, after, Boolean(after) && sameId(teamId, newTeamId)),
+    }));
+  });
+
+  if (moved) {
+    updateCached(queryKeys.teams, (teams) => teams.map((team) => {
+      if (sameId(team.id, oldTeamId)) return { ...team, player_count: Math.max(0, (team.player_count || 0) - 1) };
+      if (after && sameId(team.id, newTeamId)) return { ...team, player_count: (team.player_count || 0) + 1 };
+      return team;
+    }));
+  }
+};
+
+/**
+ * Run a request after applying its result to the cache up front
+ * Restores the cached views if the request fails and re-syncs them
+ * with the server either way.
+ * @param {Object} before - Player as it was
+ * @param {Object|null} after - Expected player afterwards (null when deleted)
+ * @param {Function} request - Performs the API call
+ * @returns {Promise} Resolves with the API response
+ */
+const optimisticPlayerMutation = async (before, after, request) => {
+  const keys = [
+    ...getQueryKeys(queryKeys.playerPages),
+    queryKeys.globalPlayers,
+    queryKeys.teams,
+    ...[before.team_id, after?.team_id].filter(hasTeam).map(queryKeys.teamHierarchy),
+  ];
+  const snapshot = keys.map((key) => [key, getQueryState(key)]);
+
+  applyPlayerChange(before, after);
+
+  try {
+    return await request();
+  } catch (err) {
+    snapshot.forEach(([key, state]) => restoreQueryState(key, state));
+    throw err;
+  } finally {
+    invalidatePlayerQueries(before.team_id, after?.team_id);
+  }
+};
+
+/**
+ * Assign a player to a team
+ * @param {Object} player - Player to assign
+ * @param {number} teamId - Target team
+ * @param {number|null} jerseyNumber - New jersey number; leave out to keep theirs
+ */
+export const assignPlayer = (player, teamId, jerseyNumber) =>
+  optimisticPlayerMutation(
+    player,
+    {
+      ...player,
+      team_id: teamId,
+      team_name: findTeam(teamId)?.team_name || player.team_name,
+      jersey_number: jerseyNumber === undefined ? player.jersey_number : jerseyNumber,
+    },
+    () => playersAPI.assignToTeam(player.id, teamId, jerseyNumber)
+  );
+
+/**
+ * Move a player back to the global pool
+ * @param {Object} player - Player to unassign
+ */
+export const unassignPlayer = (player) =>
+  optimisticPlayerMutation(
+    player,
+    { ...player, team_id: null, team_name: null },
+    () => playersAPI.unassignFromTeam(player.id)
+  );
+
+/**
+ * Update a player's details
+ * @param {Object} player - Player as currently shown
+ * @param {Object} playerData - New values
+ */
+export const updatePlayer = (player, playerData) => {
+  const teamId = playerData.team_id === undefined ? player.team_id : playerData.team_id;
+  return optimisticPlayerMutation(
+    player,
+    {
+      ...player,
+      ...playerData,
+      team_id: teamId,
+      team_name: hasTeam(teamId) ? findTeam(teamId)?.team_name || player.team_name : null,
+    },
+    () => playersAPI.update(player.id, playerData)
+  );
+};
+
+/**
+ * Delete a player
+ * @param {Object} player - Player to delete
+ */
+export const deletePlayer = (player) =>
+  optimisticPlayerMutation(player, null, () => playersAPI.delete(player.id));
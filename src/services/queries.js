@@ -0,0 +1,219 @@
+/**
+ * Queries
+ * Cache keys, fetchers and invalidation rules for league data
+ */
+
+import { auditAPI, playersAPI, publicAPI, teamsAPI, trashAPI, usersAPI } from './api';
+import { invalidateQueries } from './queryCache';
+import { filterPlayers, paginate, sortPlayers } from '../utils/playerSearch';
+
+export const queryKeys = {
+  // Parent of every player list below
+  players: 'players',
+  allPlayers: 'players:all',
+  globalPlayers: 'players:global',
+  player: (playerId) => `players:detail:${playerId}`,
+  playerPages: 'players:page',
+  playerPage: ({ page, pageSize, sort = '', q = '' }) =>
+    `players:page:${page}:${pageSize}:${sort}:${encodeURIComponent(q)}`,
+  duplicateCheck: (name) => `players:duplicates:check:${encodeURIComponent(name)}`,
+  duplicatePairs: ({ page, pageSize }) => `players:duplicates:pairs:${page}:${pageSize}`,
+  teams: 'teams',
+  teamHierarchy: (teamId) => `teams:${teamId}:hierarchy`,
+  audit: 'audit',
+  playerHistory: (playerId) => `audit:player:${playerId}`,
+  auditPage: ({ page, pageSize, actor = '', teamId = '', playerId = '', player = '' }) =>
+    `audit:${page}:${pageSize}:${encodeURIComponent(actor)}:${teamId}:${playerId}:${encodeURIComponent(player)}`,
+  // Public pages, cached apart from the signed-in views
+  publicTeams: 'public:teams',
+  publicTeam: (teamId) => `public:teams:${teamId}`,
+  publicGlobalPlayers: 'public:players:global',
+  trash: 'trash',
+  trashEntry: (id) => `trash:${id}`,
+  trashSettings: 'settings:trash',
+  users: 'users',
+};
+
+// Fetchers take { signal } last so the query cache can abort them
+
+/**
+ * Fetch every player matching a search, e.g. for exports
+ * @param {Object} params - { sort, q }
+ * @param {Object} options - { signal }
+ * @returns {Promise<Array>}
+ */
+export const fetchPlayers = ({ sort, q } = {}, { signal } = {}) =>
+  playersAPI.getAll({ sort: sort || undefined, q: q || undefined }, { signal }).then((res) =>
+    // Filtering again is harmless and covers servers that ignore the parameters
+    sortPlayers(filterPlayers(res.data.data, q), sort)
+  );
+
+/**
+ * Fetch one page of players
+ * Servers that don't page yet return the whole list; it is then
+ * filtered, sorted and sliced here so the view works the same.
+ * @param {Object} params - { page, pageSize, sort, q }
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} { players, total }
+ */
+export const fetchPlayerPage = ({ page, pageSize, sort, q }, { signal } = {}) =>
+  playersAPI
+    .getAll({ page, pageSize, sort: sort || undefined, q: q || undefined }, { signal })
+    .then(({ data: body }) => {
+      if (body.pagination) {
+        return { players: body.data, total: body.pagination.total };
+      }
+      const players = sortPlayers(filterPlayers(body.data, q), sort);
+      return { players: paginate(players, page, pageSize), total: players.length };
+    });
+
+export const fetchPlayer = (playerId, { signal } = {}) =>
+  playersAPI.getById(playerId, { signal }).then((res) => res.data.data);
+
+export const fetchGlobalPlayers = ({ signal } = {}) =>
+  playersAPI.getGlobal({ signal }).then((res) => res.data.data);
+
+export const fetchTeams = ({ signal } = {}) => teamsAPI.getAll({ signal }).then((res) => res.data.data);
+
+export const fetchTeamHierarchy = (teamId, { signal } = {}) =>
+  teamsAPI.getHierarchy(teamId, { signal }).then((res) => res.data.data);
+
+// Names sent per duplicate check, the server's batch limit
+const DUPLICATE_CHECK_CHUNK = 100;
+
+/**
+ * Ask the server for registered players that look like each name
+ * @param {Array<string>} names - Names being added
+ * @param {Object} options - { signal }
+ * @returns {Promise<Array>} One list of { player, score } per name
+ */
+export const fetchDuplicateMatches = async (names, { signal } = {}) => {
+  const matches = [];
+  for (let start = 0; start < names.length; start += DUPLICATE_CHECK_CHUNK) {
+    const res = await playersAPI.checkDuplicates(names.slice(start, start + DUPLICATE_CHECK_CHUNK), { signal });
+    matches.push(...res.data.data);
+  }
+  return matches;
+};
+
+/**
+ * Fetch one page of likely duplicate pairs
+ * @param {Object} params - { page, pageSize }
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} { pairs, total }
+ */
+export const fetchDuplicatePairs = ({ page, pageSize }, { signal } = {}) =>
+  playersAPI.getDuplicatePairs({ page, pageSize }, { signal }).then(({ data: body }) => ({
+    pairs: body.data,
+    total: body.pagination?.total ?? body.data.length,
+  }));
+
+/**
+ * Fetch one page of the audit log
+ * @param {Object} params - { page, pageSize, actor, teamId, playerId, player }
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} { entries, total }
+ */
+export const fetchAuditPage = ({ page, pageSize, actor, teamId, playerId, player }, { signal } = {}) =>
+  auditAPI
+    .getAll({
+      page,
+      pageSize,
+      actor: actor || undefined,
+      team_id: teamId || undefined,
+      player_id: playerId || undefined,
+      player: player || undefined,
+    }, { signal })
+    .then(({ data: body }) => ({
+      entries: body.data,
+      total: body.pagination?.total ?? body.data.length,
+    }));
+
+// Audit entries fetched per request while loading a player's history
+const HISTORY_PAGE_SIZE = 100;
+
+/**
+ * Fetch every audit entry about one player, newest first
+ * @param {number} playerId - Player to look up
+ * @param {Object} options - { signal }
+ * @returns {Promise<Array>}
+ */
+export const fetchPlayerHistory = async (playerId, { signal } = {}) => {
+  const entries = [];
+  for (let page = 1; ; page += 1) {
+    const result = await fetchAuditPage({ page, pageSize: HISTORY_PAGE_SIZE, playerId }, { signal });
+    entries.push(...result.entries);
+    if (result.entries.length === 0 || entries.length >= result.total) return entries;
+  }
+};
+
+export const fetchPublicTeams = ({ signal } = {}) =>
+  publicAPI.getTeams({ signal }).then((res) => res.data.data);
+
+export const fetchPublicTeam = (teamId, { signal } = {}) =>
+  publicAPI.getTeam(teamId, { signal }).then((res) => res.data.data);
+
+export const fetchPublicGlobalPlayers = ({ signal } = {}) =>
+  publicAPI.getGlobalPlayers({ signal }).then((res) => res.data.data);
+
+export const fetchTrash = ({ signal } = {}) => trashAPI.getAll({ signal }).then((res) => res.data.data);
+
+export const fetchTrashEntry = (id, { signal } = {}) =>
+  trashAPI.getById(id, { signal }).then((res) => res.data.data);
+
+export const fetchTrashSettings = ({ signal } = {}) =>
+  trashAPI.getSettings({ signal }).then((res) => res.data.data);
+
+export const fetchUsers = ({ signal } = {}) => usersAPI.getAll({ signal }).then((res) => res.data.data);
+
+/**
+ * Invalidate everything that shows a changed player
+ * @param {...(number|string|null)} teamIds - Teams the player was in before and after
+ */
+export const invalidatePlayerQueries = (...teamIds) => {
+  invalidateQueries(queryKeys.players);
+  // Player counts on the team cards
+  invalidateQueries(queryKeys.teams, { exact: true });
+  new Set(teamIds.filter((id) => id !== null && id !== undefined)).forEach((teamId) => {
+    invalidateQueries(queryKeys.teamHierarchy(teamId));
+  });
+  invalidateQueries(queryKeys.audit);
+  // Deleted and restored players move in and out of the trash
+  invalidateQueries(queryKeys.trash);
+};
+
+/**
+ * Invalidate everything that shows a changed team
+ * @param {number|string} teamId - Changed team
+ */
+export const invalidateTeamQueries = (teamId) => {
+  invalidateQueries(queryKeys.teams, { exact: true });
+  if (teamId !== undefined) invalidateQueries(queryKeys.teamHierarchy(teamId));
+  // Player lists show team names
+  invalidateQueries(queryKeys.playerPages);
+  invalidateQueries(queryKeys.audit);
+};
+
+/**
+ * Invalidate everything after a team and its players were deleted
+ * @param {number|string} teamId - Deleted team
+ */
+export const invalidateDeletedTeamQueries = (teamId) => {
+  invalidateQueries(queryKeys.teamHierarchy(teamId));
+  invalidateQueries(queryKeys.teams, { exact: true });
+  invalidateQueries(queryKeys.players);
+  invalidateQueries(queryKeys.audit);
+  invalidateQueries(queryKeys.trash);
+};
+
+/**
+ * Invalidate everything after a trash entry was restored or purged
+ * A restored team brings its players back, so every team and player
+ * view is refreshed.
+ */
+export const invalidateTrashQueries = () => {
+  invalidateQueries(queryKeys.teams);
+  invalidateQueries(queryKeys.players);
+  invalidateQueries(queryKeys.audit);
+  invalidateQueries(queryKeys.trash);
+};
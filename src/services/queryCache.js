@@ -0,0 +1,207 @@
+/**
+ * Query Cache
+ * Shared store of API results keyed by resource, with
+ * stale-while-revalidate refetching and targeted invalidation
+ *
+ * Keys are colon separated paths, e.g. 'players', 'players:global',
+ * 'teams:3:hierarchy'. Invalidating 'teams' also invalidates every key
+ * below it unless `exact` is set.
+ *
+ * Fetchers receive an AbortSignal. A request is aborted when nobody is
+ * watching its query any more, and replaced when the query is
+ * invalidated mid-flight, so only the latest response is ever stored.
+ */
+
+// How long fetched data counts as fresh
+export const DEFAULT_STALE_TIME = 30000;
+
+const INITIAL_STATE = {
+  data: undefined,
+  error: null,
+  isFetching: false,
+  updatedAt: 0,
+};
+
+const entries = new Map();
+
+/**
+ * Get (or create) the cache entry for a key
+ */
+const getEntry = (key) => {
+  if (!entries.has(key)) {
+    entries.set(key, {
+      state: INITIAL_STATE,
+      fetcher: null,
+      promise: null,
+      controller: null,
+      listeners: new Set(),
+    });
+  }
+  return entries.get(key);
+};
+
+const setState = (key, patch) => {
+  const entry = getEntry(key);
+  entry.state = { ...entry.state, ...patch };
+  entry.listeners.forEach((listener) => listener());
+};
+
+const matchesKey = (key, prefix, exact) =>
+  key === prefix || (!exact && key.startsWith(`${prefix}:`));
+
+/**
+ * Read the current state of a query
+ * @param {string} key - Query key
+ * @returns {Object} { data, error, isFetching, updatedAt }
+ */
+export const getQueryState = (key) => getEntry(key).state;
+
+/**
+ * Read cached data for a query
+ * @param {string} key - Query key
+ * @returns {*} Cached data or undefined
+ */
+export const getQueryData = (key) => getEntry(key).state.data;
+
+/**
+ * List the loaded queries under a key
+ * @param {string} prefix - Key (or key prefix)
+ * @returns {Array<string>} Keys that currently hold data
+ */
+export const getQueryKeys = (prefix) =>
+  [...entries.keys()].filter(
+    (key) => matchesKey(key, prefix, false) && entries.get(key).state.data !== undefined
+  );
+
+/**
+ * Check whether a query's data is older than the stale time
+ * @param {string} key - Query key
+ * @param {number} staleTime - Milliseconds data stays fresh
+ * @returns {boolean}
+ */
+export const isStale = (key, staleTime = DEFAULT_STALE_TIME) =>
+  Date.now() - getEntry(key).state.updatedAt > staleTime;
+
+/**
+ * Subscribe to changes of a query
+ * The request in flight is aborted once the last subscriber leaves
+ * (e.g. the view was closed or switched to another team).
+ * @param {string} key - Query key
+ * @param {Function} listener - Called on every state change
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeQuery = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0 && entry.controller) {
+      // Forget the aborted request so a remount starts a fresh one
+      // instead of waiting on it
+      entry.controller.abort();
+      entry.controller = null;
+      entry.promise = null;
+      setState(key, { isFetching: false });
+    }
+  };
+};
+
+/**
+ * Fetch a query, sharing any request already in flight for the same key
+ * @param {string} key - Query key
+ * @param {Function} fetcher - Async function ({ signal }) returning the data
+ * @param {Object} options - { force: replace a request already in flight }
+ * @returns {Promise} Resolves with the fetched data
+ */
+export const fetchQuery = (key, fetcher, { force = false } = {}) => {
+  const entry = getEntry(key);
+  if (fetcher) entry.fetcher = fetcher;
+  if (entry.promise && !force) return entry.promise;
+  if (!entry.fetcher) return Promise.resolve(entry.state.data);
+
+  entry.controller?.abort();
+  const controller = new AbortController();
+  entry.controller = controller;
+  setState(key, { isFetching: true });
+
+  // A replaced request hands its callers over to the one that replaced it
+  const isLatest = () => entry.controller === controller;
+  const settleReplaced = () => entry.promise || entry.state.data;
+
+  const promise = entry.fetcher({ signal: controller.signal })
+    .then((data) => {
+      if (!isLatest()) return settleReplaced();
+      setState(key, { data, error: null, isFetching: false, updatedAt: Date.now() });
+      return data;
+    })
+    .catch((error) => {
+      if (!isLatest()) return settleReplaced();
+      if (controller.signal.aborted) {
+        // Nobody is watching any more - stay stale and load again next time
+        setState(key, { isFetching: false });
+        return entry.state.data;
+      }
+      // Keep showing the last good data alongside the error
+      setState(key, { error, isFetching: false });
+      throw error;
+    })
+    .finally(() => {
+      if (isLatest()) {
+        entry.controller = null;
+        entry.promise = null;
+      }
+    });
+
+  entry.promise = promise;
+  return promise;
+};
+
+/**
+ * Replace or update cached data without a request
+ * @param {string} key - Query key
+ * @param {*|Function} updater - New data, or function of the old data
+ */
+export const setQueryData = (key, updater) => {
+  const previous = getEntry(key).state.data;
+  const data = typeof updater === 'function' ? updater(previous) : updater;
+  setState(key, { data, error: null, updatedAt: Date.now() });
+};
+
+/**
+ * Put back a state previously read with getQueryState (e.g. to roll back)
+ * @param {string} key - Query key
+ * @param {Object} state - Saved state
+ */
+export const restoreQueryState = (key, state) => {
+  setState(key, { data: state.data, updatedAt: state.updatedAt });
+};
+
+/**
+ * Mark matching queries stale and refetch the ones currently on screen
+ * Queries nobody is watching are refetched the next time they are used.
+ * @param {string} prefix - Key (or key prefix) to invalidate
+ * @param {Object} options - { exact: only the key itself }
+ */
+export const invalidateQueries = (prefix, { exact = false } = {}) => {
+  entries.forEach((entry, key) => {
+    if (!matchesKey(key, prefix, exact)) return;
+    entry.state = { ...entry.state, updatedAt: 0 };
+    if (entry.listeners.size > 0) {
+      // A request already in flight may have started before the change
+      fetchQuery(key, null, { force: true }).catch((err) => console.error(`Refetch ${key} error:`, err));
+    }
+  });
+};
+
+/**
+ * Drop every cached query (e.g. on logout)
+ */
+export const clearQueryCache = () => {
+  entries.forEach((entry) => {
+    entry.controller?.abort();
+    entry.controller = null;
+    entry.promise = null;
+    entry.state = INITIAL_STATE;
+    entry.listeners.forEach((listener) => listener());
+  });
+};
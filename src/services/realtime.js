@@ -0,0 +1,97 @@
+/**
+ * Realtime Service
+ * Subscribes to league changes made by other organizers and refreshes
+ * the affected cached views
+ *
+ * The server pushes events over Server-Sent Events. The offline demo
+ * backend has no server, so its tabs share events over a BroadcastChannel.
+ */
+
+import { getActiveProfile } from './config';
+import { invalidateQueries } from './queryCache';
+import { queryKeys } from './queries';
+import { MOCK_EVENTS_CHANNEL } from './realtimeEvents';
+
+const listeners = new Set();
+
+/**
+ * Refresh the views affected by a change event
+ * Events don't say which team a player came from, so every team
+ * view that is on screen is revalidated.
+ */
+const applyEvent = (event) => {
+  if (event.type.startsWith('player.')) {
+    invalidateQueries(queryKeys.players);
+    invalidateQueries(queryKeys.teams);
+  } else if (event.type.startsWith('team.')) {
+    invalidateQueries(queryKeys.teams);
+    // Player lists show team names, and deleting a team deletes its players
+    invalidateQueries(queryKeys.players);
+  } else if (event.type === 'trash.restored') {
+    invalidateQueries(queryKeys.teams);
+    invalidateQueries(queryKeys.players);
+  }
+  if (event.type.endsWith('.deleted') || event.type.startsWith('trash.')) {
+    invalidateQueries(queryKeys.trash);
+  }
+  invalidateQueries(queryKeys.audit);
+  listeners.forEach((listener) => listener(event));
+};
+
+const parseEvent = (raw) => {
+  try {
+    const event = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return event?.type ? event : null;
+  } catch (err) {
+    console.error('Invalid realtime event:', err);
+    return null;
+  }
+};
+
+/**
+ * Subscribe to incoming change events
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeRealtime = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Start listening for changes from other clients
+ * @param {string} token - Auth token (EventSource cannot send headers)
+ * @returns {Function} Disconnect function
+ */
+export const connectRealtime = (token) => {
+  const profile = getActiveProfile();
+
+  if (profile.adapter === 'mock') {
+    if (typeof BroadcastChannel === 'undefined') return () => {};
+    const channel = new BroadcastChannel(MOCK_EVENTS_CHANNEL);
+    channel.onmessage = (e) => {
+      const event = parseEvent(e.data);
+      if (event) applyEvent(event);
+    };
+    return () => channel.close();
+  }
+
+  if (!profile.realtimeURL || typeof EventSource === 'undefined') {
+    return () => {};
+  }
+
+  const url = new URL(profile.realtimeURL, window.location.origin);
+  if (token) url.searchParams.set('token', token);
+
+  // EventSource reconnects on its own after network errors
+  const source = new EventSource(url.toString());
+  source.addEventListener('change', (e) => {
+    const event = parseEvent(e.data);
+    if (event) applyEvent(event);
+  });
+  source.onerror = () => {
+    console.warn('Realtime connection lost, retrying...');
+  };
+
+  return () => source.close();
+};
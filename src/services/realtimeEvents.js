@@ -0,0 +1,49 @@
+/**
+ * Realtime Events
+ * Maps successful API writes to the change events pushed to other clients
+ *
+ * Shared by the in-browser mock backend and scripts/realtime-server.js,
+ * so it must not depend on Vite or the browser.
+ */
+
+// BroadcastChannel used by the offline demo backend
+export const MOCK_EVENTS_CHANNEL = 'kpl-mock-events';
+
+const ROUTES = [
+  ['post', /^\/players$/, 'player.created'],
+  ['post', /^\/players\/batch$/, 'player.batch_created'],
+  ['put', /^\/players\/([^/]+)\/assign$/, 'player.assigned'],
+  ['put', /^\/players\/([^/]+)\/unassign$/, 'player.unassigned'],
+  ['put', /^\/players\/([^/]+)$/, 'player.updated'],
+  ['delete', /^\/players\/([^/]+)$/, 'player.deleted'],
+  ['post', /^\/teams$/, 'team.created'],
+  ['put', /^\/teams\/([^/]+)$/, 'team.updated'],
+  ['delete', /^\/teams\/([^/]+)$/, 'team.deleted'],
+  ['post', /^\/trash\/([^/]+)\/restore$/, 'trash.restored'],
+  ['delete', /^\/trash\/([^/]+)$/, 'trash.purged'],
+];
+
+/**
+ * Build the change event for a successful request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API root, e.g. '/players/4/assign'
+ * @param {Object} body - Response body
+ * @returns {Object|null} { type, id, data, at } or null for reads
+ */
+export const eventFromRequest = (method, path, body) => {
+  const lowerMethod = method.toLowerCase();
+  for (const [routeMethod, pattern, type] of ROUTES) {
+    if (routeMethod !== lowerMethod) continue;
+    const match = pattern.exec(path);
+    if (match) {
+      const data = body?.data || null;
+      return {
+        type,
+        id: match[1] || data?.id || null,
+        data,
+        at: new Date().toISOString(),
+      };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,44 @@
+/**
+ * Server Status Store
+ * Tracks requests that are being retried while the backend wakes up
+ */
+
+let retryingRequests = 0;
+const listeners = new Set();
+
+const notify = () => {
+  const waking = retryingRequests > 0;
+  listeners.forEach((listener) => listener(waking));
+};
+
+/**
+ * Check whether any request is currently waiting on a sleeping server
+ * @returns {boolean}
+ */
+export const isServerWaking = () => retryingRequests > 0;
+
+/**
+ * Subscribe to waking state changes
+ * @param {Function} listener - Called with true/false
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeServerStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Mark a request as retrying
+ */
+export const beginRetry = () => {
+  retryingRequests += 1;
+  if (retryingRequests === 1) notify();
+};
+
+/**
+ * Mark a retrying request as settled
+ */
+export const endRetry = () => {
+  retryingRequests = Math.max(0, retryingRequests - 1);
+  if (retryingRequests === 0) notify();
+};
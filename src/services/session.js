@@ -0,0 +1,139 @@
+/**
+ * Session Store
+ * Holds the signed-in user and tokens, and coordinates re-authentication
+ * when a session expires mid-use
+ *
+ * Every tab shares the session in localStorage, and tells the others
+ * over a BroadcastChannel when it signs in or out so they follow at once.
+ */
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_KEY = 'user';
+
+const SYNC_CHANNEL = 'kpl-session';
+
+const listeners = new Set();
+
+// Pending re-login prompt: { promise, resolve }
+let pendingReauth = null;
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SYNC_CHANNEL) : null;
+
+/**
+ * @param {Object} event - { type: 'login' | 'refresh' | 'logout' | 'reauth', remote: from another tab }
+ */
+const notify = (event) => {
+  listeners.forEach((listener) => listener(event));
+};
+
+const broadcast = (type) => {
+  channel?.postMessage({ type, userId: getUser()?.id ?? null });
+};
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+/**
+ * Get the stored user
+ * @returns {Object|null}
+ */
+export const getUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store a new session (after login, refresh or re-login)
+ * @param {Object} session - { token, refreshToken, user }; missing values are kept
+ */
+export const setSession = ({ token, refreshToken, user }) => {
+  const type = getToken() ? 'refresh' : 'login';
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+  broadcast(type);
+  notify({ type, remote: false });
+};
+
+/**
+ * Forget the current session
+ */
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+  broadcast('logout');
+  notify({ type: 'logout', remote: false });
+};
+
+/**
+ * Subscribe to session changes
+ * @param {Function} listener - Called with { type, remote } on login, token
+ *   refresh, logout and re-login prompts, including those from other tabs
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Check whether the user is being asked to sign in again
+ * @returns {boolean}
+ */
+export const isReauthRequired = () => Boolean(pendingReauth);
+
+/**
+ * Ask the user to sign in again
+ * Every request that hits an expired session waits on the same prompt.
+ * @returns {Promise<boolean>} true once signed in again, false if they signed out
+ */
+export const requestReauth = () => {
+  if (!getUser()) return Promise.resolve(false);
+
+  if (!pendingReauth) {
+    let resolve;
+    const promise = new Promise((res) => {
+      resolve = res;
+    });
+    pendingReauth = { promise, resolve, userId: getUser()?.id ?? null };
+    notify({ type: 'reauth', remote: false });
+  }
+  return pendingReauth.promise;
+};
+
+/**
+ * Finish a re-login prompt
+ * @param {boolean} success - Whether the user signed in again
+ */
+export const completeReauth = (success) => {
+  const pending = pendingReauth;
+  pendingReauth = null;
+  if (!success) {
+    clearSession();
+  } else {
+    notify({ type: 'reauth', remote: false });
+  }
+  pending?.resolve(success);
+};
+
+// Follow sign-ins and sign-outs from other tabs; localStorage already holds the result
+if (channel) {
+  channel.onmessage = ({ data }) => {
+    if (!data?.type) return;
+
+    // A re-login prompt here is answered by the other tab signing in as the same user
+    if (pendingReauth) {
+      const pending = pendingReauth;
+      const sameUser = data.type !== 'logout' && data.userId === pending.userId;
+      pendingReauth = null;
+      pending.resolve(sameUser);
+    }
+    notify({ type: data.type, remote: true });
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * Undo
+ * Puts back what a destructive action removed, for the Undo button
+ * on the notification toast
+ */
+
+import { playersAPI, teamsAPI, trashAPI } from './api';
+import { assignPlayer } from './mutations';
+import { invalidatePlayerQueries, invalidateTeamQueries, invalidateTrashQueries } from './queries';
+import { createPlayers, runWithConcurrency } from '../utils/bulkImport';
+import { getErrorMessage } from '../utils/apiErrors';
+import { PROFILE_FIELDS } from '../utils/playerProfile';
+
+// How long the Undo button stays on the toast
+export const UNDO_WINDOW = 10000;
+
+/**
+ * Error for an undo that only partly worked
+ */
+export class PartialUndoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PartialUndoError';
+  }
+}
+
+/**
+ * Build the message for a failed undo
+ * @param {Error} error
+ * @returns {string}
+ */
+export const getUndoErrorMessage = (error) =>
+  error instanceof PartialUndoError ? error.message : getErrorMessage(error, 'Could not undo the change');
+
+const toPlayerData = (player, teamId = player.team_id) => ({
+  player_name: player.player_name,
+  position: player.position,
+  jersey_number: player.jersey_number,
+  team_id: teamId,
+  ...Object.fromEntries(PROFILE_FIELDS.map((field) => [field, player[field] ?? null])),
+});
+
+/**
+ * Build the action shown on a toast
+ * @param {Function} undo - Async function that reverts the change
+ * @param {string} message - Shown once the change is reverted
+ * @returns {Object} { label, run, message }
+ */
+export const undoAction = (undo, message) => ({ label: 'Undo', run: undo, message });
+
+/**
+ * Read the trash entry id from a delete response
+ * @param {Object} response - Axios response of a delete
+ * @returns {number|null} Null when the server deleted permanently
+ */
+export const getTrashId = (response) => response?.data?.trash_id ?? null;
+
+/**
+ * Restore a trash entry
+ * @param {number} trashId - Trash entry to restore
+ * @returns {Promise<Object>} Axios response; data.data.warnings lists anything that changed
+ */
+export const restoreFromTrash = async (trashId) => {
+  const response = await trashAPI.restore(trashId);
+  invalidateTrashQueries();
+  return response;
+};
+
+/**
+ * Bring back a deleted player with the same details and team
+ * @param {Object} player - Player as it was before deletion
+ * @param {number} trashId - Trash entry from the delete, if the server kept one
+ */
+export const restorePlayer = async (player, trashId = null) => {
+  if (trashId !== null) {
+    await restoreFromTrash(trashId);
+    return;
+  }
+  await playersAPI.create(toPlayerData(player));
+  invalidatePlayerQueries(player.team_id);
+};
+
+/**
+ * Put an unassigned player back in their team
+ * @param {Object} player - Player as it was before being unassigned
+ */
+export const reassignPlayer = (player) =>
+  assignPlayer({ ...player, team_id: null, team_name: null }, player.team_id);
+
+/**
+ * Bring back a deleted team and every player it had
+ * @param {Object} team - Team as it was, with its players
+ * @param {number} trashId - Trash entry from the delete, if the server kept one
+ */
+export const restoreTeam = async (team, trashId = null) => {
+  if (trashId !== null) {
+    await restoreFromTrash(trashId);
+    return;
+  }
+
+  const { data } = await teamsAPI.create({
+    team_name: team.team_name,
+    team_logo: team.team_logo,
+    team_color: team.team_color,
+    description: team.description,
+  });
+  const restoredTeam = data.data;
+
+  const failed = [];
+  await createPlayers(
+    (team.players || []).map((player) => toPlayerData(player, restoredTeam.id)),
+    (index, { success }) => {
+      if (!success) failed.push(team.players[index].player_name);
+    }
+  );
+
+  invalidateTeamQueries(restoredTeam.id);
+  invalidatePlayerQueries(restoredTeam.id);
+
+  if (failed.length > 0) {
+    throw new PartialUndoError(`${team.team_name} was restored, but ${failed.length} player(s) could not be: ${failed.join(', ')}`);
+  }
+};
+
+/**
+ * Remove the players added by a bulk import
+ * @param {Array} players - Players the import created
+ */
+export const removeImportedPlayers = async (players) => {
+  const failed = [];
+  await runWithConcurrency(
+    players.map((player) => async () => {
+      try {
+        await playersAPI.delete(player.id);
+      } catch (err) {
+        console.error(`Failed to remove ${player.player_name}:`, err);
+        failed.push(player.player_name);
+      }
+    }),
+    3
+  );
+
+  invalidatePlayerQueries(...players.map((player) => player.team_id));
+
+  if (failed.length > 0) {
+    throw new PartialUndoError(`${failed.length} imported player(s) could not be removed: ${failed.join(', ')}`);
+  }
+};
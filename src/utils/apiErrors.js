@@ -0,0 +1,74 @@
+/**
+ * API Error Utility
+ * Classifies request failures and builds user-facing messages
+ */
+
+import axios from 'axios';
+import { ResponseSchemaError } from '../services/models';
+
+/**
+ * Work out what kind of failure an API error is
+ * @param {Error} error - Error thrown by the API client
+ * @returns {string} 'cancelled' | 'timeout' | 'network' | 'server' | 'unauthorized' |
+ *   'forbidden' | 'not_found' | 'conflict' | 'client' | 'schema'
+ */
+export const getErrorKind = (error) => {
+  if (axios.isCancel(error)) return 'cancelled';
+  // The request worked but the payload couldn't be read
+  if (error instanceof ResponseSchemaError) return 'schema';
+
+  if (!error?.response) {
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') return 'timeout';
+    return 'network';
+  }
+
+  const { status } = error.response;
+  if (status >= 500) return 'server';
+  if (status === 401) return 'unauthorized';
+  if (status === 403) return 'forbidden';
+  if (status === 404) return 'not_found';
+  // e.g. the jersey number is already worn in the team
+  if (status === 409) return 'conflict';
+  return 'client';
+};
+
+/**
+ * Check whether the error means the server could not be reached at all
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => ['network', 'timeout'].includes(getErrorKind(error));
+
+/**
+ * Build a message for showing an API error to the user
+ * Real 4xx errors use the server's message; connection problems get
+ * their own wording instead of the generic fallback.
+ * @param {Error} error - Error thrown by the API client
+ * @param {string} fallback - Message used when nothing more specific is known
+ * @returns {string}
+ */
+export const getErrorMessage = (error, fallback = 'Something went wrong') => {
+  switch (getErrorKind(error)) {
+    case 'network':
+      return 'Cannot reach the server. Check your connection and try again.';
+    case 'timeout':
+      return 'The server is taking too long to respond. Please try again in a moment.';
+    case 'server':
+      return `${fallback} (server error ${error.response.status}). Please try again.`;
+    case 'forbidden':
+      return error.response.data?.message || 'You do not have permission to do that.';
+    case 'schema':
+      return 'The server sent data this app could not read. Please try again later.';
+    default:
+      return error?.response?.data?.message || fallback;
+  }
+};
+
+/**
+ * Build a message for an optimistic change the server rejected
+ * @param {Error} error - Error thrown by the API client
+ * @param {string} fallback - Message used when nothing more specific is known
+ * @returns {string}
+ */
+export const getRollbackMessage = (error, fallback) =>
+  `${getErrorMessage(error, fallback)} Your change has been undone.`;
@@ -4,57 +4,157 @@
  */
 
 import { playersAPI } from '../services/api';
+import { getErrorKind, getErrorMessage } from './apiErrors';
+import { matchTrailingRole } from './playerRoles';
+
+// Players sent per batch request, and batch requests in flight at once
+export const DEFAULT_CHUNK_SIZE = Number(import.meta.env.VITE_BULK_CHUNK_SIZE) || 25;
+export const DEFAULT_CONCURRENCY = Number(import.meta.env.VITE_BULK_CONCURRENCY) || 3;
+
+const toPlayerData = (player) => ({
+  player_name: player.name,
+  position: player.position || null,
+  jersey_number: player.jersey_number || null,
+  team_id: player.team_id || null
+});
+
+/**
+ * Split a list into chunks
+ */
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Run async tasks with at most `limit` running at once
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} limit - Maximum tasks in flight
+ */
+export const runWithConcurrency = async (tasks, limit) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const task = tasks[next];
+      next += 1;
+      await task();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+};
+
+/**
+ * Create players one request at a time (servers without a batch endpoint)
+ * @returns {Promise<Array>} Per-row results { success, data, message }
+ */
+const createOneByOne = async (rows) => {
+  const rowResults = [];
+  for (const row of rows) {
+    try {
+      const response = await playersAPI.create(row);
+      rowResults.push({ success: true, data: response.data.data });
+    } catch (error) {
+      rowResults.push({ success: false, message: getErrorMessage(error, error.message) });
+    }
+  }
+  return rowResults;
+};
+
+/**
+ * Create many players
+ * Rows are sent in chunks through the batch endpoint, a few chunks at
+ * a time. Servers without the batch endpoint get one request per player.
+ * @param {Array} rows - Player data as sent to the API
+ * @param {Function} onRow - Called as each row finishes with (index, { success, data, message })
+ * @param {Object} options - { chunkSize, concurrency }
+ */
+export const createPlayers = async (
+  rows,
+  onRow,
+  { chunkSize = DEFAULT_CHUNK_SIZE, concurrency = DEFAULT_CONCURRENCY } = {}
+) => {
+  let batchSupported = true;
+
+  const createChunk = async ({ start, rows: chunkRows }) => {
+    let rowResults;
+
+    if (batchSupported) {
+      try {
+        const response = await playersAPI.createBatch(chunkRows);
+        rowResults = chunkRows.map((_, index) =>
+          response.data.data.find((result) => result.index === index) ||
+          { success: false, message: 'No result returned for this row' }
+        );
+      } catch (error) {
+        if (getErrorKind(error) === 'not_found' || error.response?.status === 405) {
+          batchSupported = false;
+        } else {
+          const message = getErrorMessage(error, error.message);
+          rowResults = chunkRows.map(() => ({ success: false, message }));
+        }
+      }
+    }
+
+    if (!rowResults) rowResults = await createOneByOne(chunkRows);
+    rowResults.forEach((result, index) => onRow(start + index, result));
+  };
+
+  const size = Math.max(1, chunkSize);
+  await runWithConcurrency(
+    chunk(rows, size).map((chunkRows, i) => () => createChunk({ start: i * size, rows: chunkRows })),
+    Math.max(1, concurrency)
+  );
+};
 
 /**
  * Import players in bulk
  * @param {Array} players - Array of player objects {name, position, team_id}
- * @param {Function} onProgress - Callback for progress updates
- * @returns {Object} Results of the import
+ * @param {Function} onProgress - Called once per row as it finishes with
+ *   { current, total, player, success, error }
+ * @param {Object} options - { chunkSize, concurrency }
+ * @returns {Object} Results of the import; `created` holds the new players
  */
-export const bulkImportPlayers = async (players, onProgress) => {
+export const bulkImportPlayers = async (players, onProgress, options) => {
   const results = {
     success: [],
     failed: [],
+    created: [],
     total: players.length
   };
+  let completed = 0;
 
-  for (let i = 0; i < players.length; i++) {
-    const player = players[i];
-    try {
-      if (onProgress) {
-        onProgress({
-          current: i + 1,
-          total: players.length,
-          player: player.name
-        });
-      }
-
-      await playersAPI.create({
-        player_name: player.name,
-        position: player.position || 'Player',
-        jersey_number: player.jersey_number || null,
-        team_id: player.team_id || null
-      });
-
+  await createPlayers(players.map(toPlayerData), (index, { success, data, message }) => {
+    const player = players[index];
+    completed += 1;
+    if (success) {
       results.success.push(player.name);
-      
-      // Small delay to avoid overwhelming the server
-      await new Promise(resolve => setTimeout(resolve, 100));
-    } catch (error) {
-      console.error(`Failed to import ${player.name}:`, error);
-      results.failed.push({
-        name: player.name,
-        error: error.response?.data?.message || error.message
+      if (data) results.created.push(data);
+    } else {
+      console.error(`Failed to import ${player.name}:`, message);
+      results.failed.push({ name: player.name, error: message });
+    }
+
+    if (onProgress) {
+      onProgress({
+        current: completed,
+        total: players.length,
+        player: player.name,
+        success,
+        error: success ? null : message
       });
     }
-  }
+  }, options);
 
   return results;
 };
 
 /**
  * Parse player data from text format
- * Format: "Name position" or just "Name"
+ * Format: "Name role" or just "Name". The role can be any name or alias
+ * in the role catalogue and is stored under its catalogue name.
  * @param {string} text - Multi-line text with player data
  * @returns {Array} Array of player objects
  */
@@ -66,38 +166,12 @@ export const parsePlayerText = (text) => {
     const trimmed = line.trim();
     if (!trimmed) continue;
 
-    // Extract name and position
-    let name, position;
-    
-    // Check for position keywords at the end
-    const positionKeywords = [
-      { pattern: /batsman$/i, position: 'Batsman' },
-      { pattern: /bowler$/i, position: 'Bowler' },
-      { pattern: /batting all rounder$/i, position: 'Batting All Rounder' },
-      { pattern: /bowling all rounder$/i, position: 'Bowling All Rounder' },
-      { pattern: /all rounder$/i, position: 'All Rounder' },
-      { pattern: /wicket keeper$/i, position: 'Wicket Keeper' },
-      { pattern: /wicketkeeper$/i, position: 'Wicket Keeper' }
-    ];
-
-    let foundPosition = false;
-    for (const { pattern, position: pos } of positionKeywords) {
-      if (pattern.test(trimmed)) {
-        position = pos;
-        name = trimmed.replace(pattern, '').trim();
-        foundPosition = true;
-        break;
-      }
-    }
-
-    if (!foundPosition) {
-      name = trimmed;
-      position = 'Player';
-    }
+    // Check for a role at the end
+    const { text: name, role } = matchTrailingRole(trimmed);
 
     players.push({
       name,
-      position,
+      position: role,
       jersey_number: null,
       team_id: null
     });
@@ -105,4 +179,3 @@ export const parsePlayerText = (text) => {
 
   return players;
 };
-
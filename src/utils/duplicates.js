@@ -0,0 +1,212 @@
+/**
+ * Duplicate Players
+ * Fuzzy name matching used to warn about duplicates when adding or
+ * importing players, and to list candidates on the merge screen
+ *
+ * Names are compared without case, punctuation or accents, so
+ * "Subramanya K" and "Subramanya k." are the same name. Close spellings,
+ * swapped words and initials ("Subramanya Kodur" / "Subramanya K") also
+ * count as likely duplicates.
+ */
+
+import { PROFILE_FIELDS } from './playerProfile';
+
+// Scores at or above this are reported as likely duplicates
+export const DUPLICATE_THRESHOLD = 0.85;
+
+/**
+ * Reduce a name to the form used for matching
+ * e.g. "  Subramanya  K. " -> "subramanya k"
+ */
+export const normalizeName = (name) =>
+  String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Number of single-character edits between two strings
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const ratio = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+};
+
+/**
+ * Check whether two word lists match word for word, allowing an initial
+ * in place of a word ("k" for "kodur") but needing one full word in common
+ */
+const matchesWithInitials = (wordsA, wordsB) => {
+  if (wordsA.length !== wordsB.length || wordsA.length < 2) return false;
+  let fullMatch = false;
+  const matches = wordsA.every((word, i) => {
+    const other = wordsB[i];
+    if (word === other) {
+      if (word.length > 1) fullMatch = true;
+      return true;
+    }
+    return (word.length === 1 && other.startsWith(word)) || (other.length === 1 && word.startsWith(other));
+  });
+  return matches && fullMatch;
+};
+
+/**
+ * How alike two names are, once normalized
+ */
+const normalizedSimilarity = (nameA, nameB) => {
+  if (!nameA || !nameB) return 0;
+  if (nameA === nameB) return 1;
+
+  const wordsA = nameA.split(' ');
+  const wordsB = nameB.split(' ');
+  const sortedA = [...wordsA].sort().join(' ');
+  const sortedB = [...wordsB].sort().join(' ');
+  if (sortedA === sortedB) return 0.95;
+  if (matchesWithInitials(wordsA, wordsB)) return 0.9;
+
+  return Math.max(ratio(nameA, nameB), ratio(sortedA, sortedB));
+};
+
+/**
+ * How alike two player names are
+ * @param {string} a - Player name
+ * @param {string} b - Player name
+ * @returns {number} 0 (nothing alike) to 1 (same name once normalized)
+ */
+export const nameSimilarity = (a, b) => normalizedSimilarity(normalizeName(a), normalizeName(b));
+
+/**
+ * Find existing players whose names look like the given one
+ * @param {string} name - Name being added
+ * @param {Array} players - Players to check against
+ * @param {Object} options - { excludeId } to skip the player being edited
+ * @returns {Array} [{ player, score }], most alike first
+ */
+export const findDuplicates = (name, players, { excludeId = null } = {}) =>
+  players
+    .filter((player) => player.id !== excludeId)
+    .map((player) => ({ player, score: nameSimilarity(name, player.player_name) }))
+    .filter(({ score }) => score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+
+// Letters at the start of a name that put it in the same bucket
+const PREFIX_LENGTH = 3;
+
+/**
+ * Buckets a name is compared within: one per full word together with the
+ * initials of the other words ("kumar|r" for "Ramesh Kumar", so a common
+ * surname doesn't make one huge bucket), and one for how the name starts
+ * (for misspellings of one-word names)
+ */
+const bucketKeys = (name) => {
+  const words = name.split(' ');
+  const keys = words
+    .map((word, i) => {
+      if (word.length < 2) return null;
+      const others = words.filter((_, j) => j !== i).map((other) => other[0]).sort().join('');
+      return `word:${word}|${others}`;
+    })
+    .filter(Boolean);
+  return [...new Set(keys), `start:${name.slice(0, PREFIX_LENGTH)}`];
+};
+
+/**
+ * Find every pair of players that look like the same person
+ * Only names sharing a word (and the initials of the rest) or their first
+ * letters are compared, which keeps a league of thousands from being
+ * compared pair by pair.
+ * @param {Array} players - Players to compare
+ * @returns {Array} [{ first, second, score }], most alike first
+ */
+export const findDuplicatePairs = (players) => {
+  const names = players.map((player) => normalizeName(player.player_name));
+  const buckets = new Map();
+  names.forEach((name, index) => {
+    if (!name) return;
+    bucketKeys(name).forEach((key) => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+  });
+
+  const compared = new Set();
+  const pairs = [];
+  buckets.forEach((indexes) => {
+    indexes.forEach((i, position) => {
+      indexes.slice(position + 1).forEach((j) => {
+        const pairKey = `${i}:${j}`;
+        if (compared.has(pairKey)) return;
+        compared.add(pairKey);
+        const score = normalizedSimilarity(names[i], names[j]);
+        if (score >= DUPLICATE_THRESHOLD) pairs.push({ first: players[i], second: players[j], score, order: [i, j] });
+      });
+    });
+  });
+
+  // Same order every time, so pages don't shift between requests
+  return pairs
+    .sort((a, b) => b.score - a.score || a.order[0] - b.order[0] || a.order[1] - b.order[1])
+    .map(({ order, ...pair }) => pair);
+};
+
+/**
+ * Check rows about to be imported for likely duplicates
+ * Each row is compared with the rows above it, so a name listed twice in
+ * one paste is caught too; matches with registered players come from the
+ * server.
+ * @param {Array} rows - Parsed rows { name, ... }
+ * @param {Array} existingMatches - Per row, the server's [{ player, score }]
+ * @returns {Array} One entry per row: { players, earlierRows }, the matching
+ *   existing players and the 1-based numbers of matching rows above it
+ */
+export const findImportDuplicates = (rows, existingMatches) =>
+  rows.map((row, index) => ({
+    players: (existingMatches[index] || []).map(({ player }) => player),
+    earlierRows: rows
+      .slice(0, index)
+      .map((other, i) => (nameSimilarity(row.name, other.name) >= DUPLICATE_THRESHOLD ? i + 1 : null))
+      .filter((number) => number !== null),
+  }));
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Combine two records of the same player
+ * The name, team and jersey come from whichever record `picks` names;
+ * everything else comes from the kept record, filled in from the
+ * duplicate where it is blank.
+ * @param {Object} keep - Record that stays
+ * @param {Object} remove - Duplicate that will be deleted
+ * @param {Object} picks - { player_name, team_id, jersey_number }: id of the record to take each from
+ * @returns {Object} Player data to save on the kept record
+ */
+export const mergePlayerData = (keep, remove, picks = {}) => {
+  const picked = (field) => (picks[field] === remove.id ? remove : keep)[field] ?? null;
+  const combined = (field) => (isBlank(keep[field]) ? remove[field] ?? null : keep[field]);
+
+  return {
+    player_name: picked('player_name'),
+    team_id: picked('team_id'),
+    jersey_number: picked('jersey_number'),
+    position: combined('position'),
+    ...Object.fromEntries(PROFILE_FIELDS.map((field) => [field, combined(field)])),
+  };
+};
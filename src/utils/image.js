@@ -0,0 +1,75 @@
+/**
+ * Image Utilities
+ * Client-side cropping and resizing of player photos, so only a small
+ * square JPEG is uploaded
+ */
+
+export const PHOTO_SIZE = 256;
+const PHOTO_QUALITY = 0.85;
+
+// Larger files are refused before they are decoded
+export const MAX_PHOTO_FILE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Decode an image file
+ * @param {File} file - Image chosen by the user
+ * @returns {Promise<HTMLImageElement>}
+ */
+export const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    if (!file.type.startsWith('image/')) {
+      reject(new Error('Choose an image file'));
+      return;
+    }
+    if (file.size > MAX_PHOTO_FILE_BYTES) {
+      reject(new Error('Choose an image smaller than 10 MB'));
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('That image could not be read'));
+    };
+    image.src = url;
+  });
+
+/**
+ * Work out the square area of the image to keep
+ * @param {HTMLImageElement} image
+ * @param {Object} crop - { zoom: 1 or more, x, y: -1 (left/top) to 1 (right/bottom) }
+ * @returns {Object} { sx, sy, size } in image pixels
+ */
+export const getCropArea = (image, { zoom, x, y }) => {
+  const size = Math.min(image.naturalWidth, image.naturalHeight) / zoom;
+  const maxX = image.naturalWidth - size;
+  const maxY = image.naturalHeight - size;
+  return {
+    sx: (maxX * (x + 1)) / 2,
+    sy: (maxY * (y + 1)) / 2,
+    size,
+  };
+};
+
+/**
+ * Crop an image to a square and scale it down
+ * @param {HTMLImageElement} image
+ * @param {Object} crop - See getCropArea
+ * @returns {string} JPEG data URL, PHOTO_SIZE pixels square
+ */
+export const cropImage = (image, crop) => {
+  const { sx, sy, size } = getCropArea(image, crop);
+  const canvas = document.createElement('canvas');
+  canvas.width = PHOTO_SIZE;
+  canvas.height = PHOTO_SIZE;
+
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, sx, sy, size, size, 0, 0, PHOTO_SIZE, PHOTO_SIZE);
+  return canvas.toDataURL('image/jpeg', PHOTO_QUALITY);
+};
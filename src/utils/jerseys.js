@@ -0,0 +1,64 @@
+/**
+ * Jersey Numbers
+ * Each number can be worn by only one player per team; players in the
+ * global pool may share numbers until they are picked
+ *
+ * Shared by the player form, the assign flows and the offline demo backend.
+ */
+
+export const JERSEY_MIN = 0;
+export const JERSEY_MAX = 999;
+
+const hasNumber = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Find the teammate already wearing a number
+ * @param {number|null} number - Jersey number to check
+ * @param {Array} roster - Players in the team
+ * @param {Object} options - { excludeId } to skip the player being edited
+ * @returns {Object|null} The player wearing it, or null when it is free
+ */
+export const findJerseyConflict = (number, roster, { excludeId = null } = {}) => {
+  if (!hasNumber(number)) return null;
+  return roster.find((player) =>
+    player.id !== excludeId && hasNumber(player.jersey_number) && Number(player.jersey_number) === Number(number)
+  ) || null;
+};
+
+/**
+ * Suggest numbers nobody in the team wears yet
+ * @param {Array} roster - Players in the team
+ * @param {Object} options - { near: number to stay close to, count, excludeId }
+ * @returns {Array<number>} Free numbers, closest to `near` first (else lowest first)
+ */
+export const suggestJerseyNumbers = (roster, { near = null, count = 5, excludeId = null } = {}) => {
+  const taken = new Set(
+    roster
+      .filter((player) => player.id !== excludeId && hasNumber(player.jersey_number))
+      .map((player) => Number(player.jersey_number))
+  );
+  const free = [];
+  const add = (number) => {
+    if (free.length < count && number >= JERSEY_MIN && number <= JERSEY_MAX && !taken.has(number)) free.push(number);
+  };
+
+  if (!hasNumber(near)) {
+    for (let number = 1; number <= JERSEY_MAX && free.length < count; number += 1) add(number);
+    return free;
+  }
+  add(Number(near));
+  for (let offset = 1; offset <= JERSEY_MAX && free.length < count; offset += 1) {
+    add(Number(near) + offset);
+    add(Number(near) - offset);
+  }
+  return free;
+};
+
+/**
+ * Describe a clash for error messages
+ * @param {number} number - Jersey number
+ * @param {Object} player - Player already wearing it
+ * @param {string} teamName - Their team
+ */
+export const describeJerseyConflict = (number, player, teamName) =>
+  `#${number} is already worn by ${player.player_name}${teamName ? ` in ${teamName}` : ''}`;
@@ -0,0 +1,41 @@
+/**
+ * Password Rules
+ * Shared by the password forms and the offline demo backend
+ */
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Passwords that have been printed in docs or are guessed first
+const COMMON_PASSWORDS = ['admin123', 'password', 'password1', '12345678', '123456789', 'qwerty123'];
+
+/**
+ * Check a new password against the rules
+ * @param {string} password - New password
+ * @param {string} username - Account it is for
+ * @returns {string|null} What is wrong with it, or null when it is fine
+ */
+export const validatePassword = (password, username = '') => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+    return 'That password is too easy to guess';
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  return null;
+};
+
+// No 0/O or 1/l/I, so a password read out loud or off a screen is typed right
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Make a random temporary password to hand to a user
+ * @param {number} length
+ * @returns {string}
+ */
+export const generatePassword = (length = 10) => {
+  const values = crypto.getRandomValues(new Uint32Array(length));
+  return Array.from(values, (value) => PASSWORD_ALPHABET[value % PASSWORD_ALPHABET.length]).join('');
+};
@@ -5,14 +5,49 @@
 
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
+import { BATTING_HANDS, getAge } from './playerProfile';
+import { getRoleLabel } from './playerRoles';
+import { groupPlayersByPosition } from './roster';
+
+const PROFILE_HEAD = ['Batting', 'Bowling', 'Age', 'Locality'];
+
+/**
+ * Table cells for a player's profile, in PROFILE_HEAD order
+ */
+const profileCells = (player) => [
+  BATTING_HANDS[player.batting_hand] || '-',
+  player.bowling_style || '-',
+  getAge(player.date_of_birth) ?? '-',
+  player.locality || '-'
+];
+
+/**
+ * A player's role as shown in the tables
+ */
+const roleCell = (player) => (player.position ? getRoleLabel(player.position) : '-');
+
+/**
+ * Draw a player's photo, if it is an uploaded one
+ * Photos linked by URL can't be embedded without fetching them first.
+ */
+const drawPhoto = (doc, player, x, y, size) => {
+  if (player.photo_url?.startsWith('data:image/')) {
+    const format = player.photo_url.startsWith('data:image/png') ? 'PNG' : 'JPEG';
+    doc.addImage(player.photo_url, format, x, y, size, size);
+  }
+};
 
 /**
  * Export all players to PDF
  * @param {Array} players - Array of player objects
  * @param {string} title - Document title
+ * @param {Object} options - { canViewContact(player) } adds a Phone column
+ *   for the players whose contact details the user may see
  */
-export const exportPlayersToPDF = (players, title = 'KPL Players List') => {
-  const doc = new jsPDF();
+export const exportPlayersToPDF = (players, title = 'KPL Players List', { canViewContact } = {}) => {
+  // Landscape leaves room for the profile columns
+  const doc = new jsPDF({ orientation: 'landscape' });
+  const showPhone = Boolean(canViewContact) && players.some(canViewContact);
   
   // Add title
   doc.setFontSize(20);
@@ -38,14 +73,16 @@ export const exportPlayersToPDF = (players, title = 'KPL Players List') => {
     index + 1,
     player.player_name,
     player.team_name || 'Global Player',
-    player.position || '-',
-    player.jersey_number || '-'
+    roleCell(player),
+    player.jersey_number || '-',
+    ...profileCells(player),
+    ...(showPhone ? [(canViewContact(player) && player.phone) || '-'] : [])
   ]);
   
   // Add table
   autoTable(doc, {
     startY: 42,
-    head: [['#', 'Player Name', 'Team', 'Position', 'Jersey']],
+    head: [['#', 'Player Name', 'Team', 'Position', 'Jersey', ...PROFILE_HEAD, ...(showPhone ? ['Phone'] : [])]],
     body: tableData,
     theme: 'grid',
     headStyles: {
@@ -60,11 +97,11 @@ export const exportPlayersToPDF = (players, title = 'KPL Players List') => {
       halign: 'left'
     },
     columnStyles: {
-      0: { halign: 'center', cellWidth: 15 },
-      1: { cellWidth: 60 },
-      2: { cellWidth: 50 },
-      3: { cellWidth: 35 },
-      4: { halign: 'center', cellWidth: 25 }
+      0: { halign: 'center', cellWidth: 12 },
+      1: { cellWidth: 50 },
+      2: { cellWidth: 40 },
+      4: { halign: 'center', cellWidth: 18 },
+      7: { halign: 'center', cellWidth: 14 }
     },
     alternateRowStyles: {
       fillColor: [245, 247, 250]
@@ -93,9 +130,11 @@ export const exportPlayersToPDF = (players, title = 'KPL Players List') => {
 /**
  * Export team players to PDF
  * @param {Object} team - Team object with players
+ * @param {Array} players - The team's players
+ * @param {Object} options - { includeContact } adds phone and emergency contact columns
  */
-export const exportTeamPlayersToPDF = (team, players) => {
-  const doc = new jsPDF();
+export const exportTeamPlayersToPDF = (team, players, { includeContact = false } = {}) => {
+  const doc = new jsPDF({ orientation: includeContact ? 'landscape' : 'portrait' });
   
   // Add team header with color
   doc.setFillColor(59, 130, 246);
@@ -109,8 +148,8 @@ export const exportTeamPlayersToPDF = (team, players) => {
   
   doc.setFontSize(11);
   doc.setFont('helvetica', 'normal');
-  if (team.team_description) {
-    doc.text(team.team_description.substring(0, 80), 14, 28);
+  if (team.description) {
+    doc.text(team.description.substring(0, 80), 14, 28);
   }
   
   // Add date and player count
@@ -125,15 +164,8 @@ export const exportTeamPlayersToPDF = (team, players) => {
   // Reset text color for content
   doc.setTextColor(0, 0, 0);
   
-  // Group players by position
-  const playersByPosition = players.reduce((acc, player) => {
-    const position = player.position || 'Unassigned';
-    if (!acc[position]) {
-      acc[position] = [];
-    }
-    acc[position].push(player);
-    return acc;
-  }, {});
+  // Group players by role
+  const playersByPosition = groupPlayersByPosition(players);
   
   let startY = 48;
   
@@ -151,14 +183,22 @@ export const exportTeamPlayersToPDF = (team, players) => {
     // Prepare table data
     const tableData = posPlayers.map((player, index) => [
       index + 1,
+      '',
       player.player_name,
-      player.jersey_number || '-'
+      player.jersey_number || '-',
+      ...profileCells(player),
+      ...(includeContact
+        ? [
+            player.phone || '-',
+            [player.emergency_contact_name, player.emergency_contact_phone].filter(Boolean).join(' ') || '-'
+          ]
+        : [])
     ]);
     
     // Add table for this position
     autoTable(doc, {
       startY: startY,
-      head: [['#', 'Player Name', 'Jersey']],
+      head: [['#', 'Photo', 'Player Name', 'Jersey', ...PROFILE_HEAD, ...(includeContact ? ['Phone', 'Emergency Contact'] : [])]],
       body: tableData,
       theme: 'striped',
       headStyles: {
@@ -168,12 +208,20 @@ export const exportTeamPlayersToPDF = (team, players) => {
         fontStyle: 'bold'
       },
       bodyStyles: {
-        fontSize: 10
+        fontSize: 10,
+        minCellHeight: 12,
+        valign: 'middle'
       },
       columnStyles: {
-        0: { halign: 'center', cellWidth: 15 },
-        1: { cellWidth: 140 },
-        2: { halign: 'center', cellWidth: 30 }
+        0: { halign: 'center', cellWidth: 10 },
+        1: { cellWidth: 14 },
+        3: { halign: 'center', cellWidth: 16 },
+        6: { halign: 'center', cellWidth: 12 }
+      },
+      didDrawCell: (data) => {
+        if (data.section === 'body' && data.column.index === 1) {
+          drawPhoto(doc, posPlayers[data.row.index], data.cell.x + 2, data.cell.y + 1.5, 9);
+        }
       },
       margin: { left: 14, right: 14 }
     });
@@ -237,14 +285,15 @@ export const exportGlobalPlayersToPDF = (players) => {
   const tableData = players.map((player, index) => [
     index + 1,
     player.player_name,
-    player.position || '-',
-    player.jersey_number || '-'
+    roleCell(player),
+    player.jersey_number || '-',
+    ...profileCells(player)
   ]);
   
   // Add table
   autoTable(doc, {
     startY: 50,
-    head: [['#', 'Player Name', 'Position', 'Jersey Number']],
+    head: [['#', 'Player Name', 'Position', 'Jersey', ...PROFILE_HEAD]],
     body: tableData,
     theme: 'grid',
     headStyles: {
@@ -259,10 +308,10 @@ export const exportGlobalPlayersToPDF = (players) => {
       halign: 'left'
     },
     columnStyles: {
-      0: { halign: 'center', cellWidth: 15 },
-      1: { cellWidth: 90 },
-      2: { cellWidth: 50 },
-      3: { halign: 'center', cellWidth: 30 }
+      0: { halign: 'center', cellWidth: 10 },
+      1: { cellWidth: 40 },
+      3: { halign: 'center', cellWidth: 16 },
+      6: { halign: 'center', cellWidth: 12 }
     },
     alternateRowStyles: {
       fillColor: [240, 253, 244]
@@ -320,7 +369,7 @@ export const exportAllTeamsToPDF = (teams) => {
     index + 1,
     `${team.team_logo || ''} ${team.team_name}`,
     team.player_count || 0,
-    team.team_description ? team.team_description.substring(0, 50) + (team.team_description.length > 50 ? '...' : '') : '-'
+    team.description ? team.description.substring(0, 50) + (team.description.length > 50 ? '...' : '') : '-'
   ]);
   
   // Add table
@@ -370,3 +419,76 @@ export const exportAllTeamsToPDF = (teams) => {
   doc.save(fileName);
 };
 
+/**
+ * Export one player's registration profile to PDF
+ * @param {Object} player - Player with profile fields
+ * @param {Object} options - { includeContact } adds phone and emergency contact
+ */
+export const exportPlayerProfileToPDF = (player, { includeContact = false } = {}) => {
+  const doc = new jsPDF();
+  
+  // Header with photo
+  doc.setFillColor(59, 130, 246);
+  doc.rect(0, 0, doc.internal.pageSize.width, 50, 'F');
+  drawPhoto(doc, player, 14, 8, 34);
+  
+  const textX = player.photo_url?.startsWith('data:image/') ? 56 : 14;
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(22);
+  doc.setFont('helvetica', 'bold');
+  doc.text(player.player_name, textX, 24);
+  
+  doc.setFontSize(12);
+  doc.setFont('helvetica', 'normal');
+  const jersey = player.jersey_number !== null && player.jersey_number !== undefined ? ` | #${player.jersey_number}` : '';
+  doc.text(`${player.team_name || 'Global Player'}${jersey}`, textX, 34);
+  
+  doc.setTextColor(0, 0, 0);
+  
+  const age = getAge(player.date_of_birth);
+  const rows = [
+    ['Position', roleCell(player)],
+    ['Date of Birth', player.date_of_birth ? `${player.date_of_birth} (age ${age})` : '-'],
+    ['Batting', BATTING_HANDS[player.batting_hand] || '-'],
+    ['Bowling', player.bowling_style || '-'],
+    ['Village / Locality', player.locality || '-']
+  ];
+  if (includeContact) {
+    rows.push(
+      ['Phone', player.phone || '-'],
+      ['Emergency Contact', [player.emergency_contact_name, player.emergency_contact_phone].filter(Boolean).join(', ') || '-']
+    );
+  }
+  
+  autoTable(doc, {
+    startY: 60,
+    body: rows,
+    theme: 'plain',
+    bodyStyles: {
+      fontSize: 11
+    },
+    columnStyles: {
+      0: { fontStyle: 'bold', cellWidth: 50, textColor: [100, 100, 100] },
+      1: { cellWidth: 130 }
+    }
+  });
+  
+  // Add footer
+  doc.setFontSize(9);
+  doc.setTextColor(128);
+  const date = new Date().toLocaleDateString('en-US', { 
+    year: 'numeric', 
+    month: 'long', 
+    day: 'numeric' 
+  });
+  doc.text(
+    `KPL Player Profile - Generated on ${date}`,
+    doc.internal.pageSize.width / 2,
+    doc.internal.pageSize.height - 10,
+    { align: 'center' }
+  );
+  
+  // Save PDF
+  const fileName = `${player.player_name.replace(/\s+/g, '_')}_Profile_${new Date().getTime()}.pdf`;
+  doc.save(fileName);
+};
@@ -0,0 +1,103 @@
+/**
+ * Permissions
+ * Role-based access rules, shared by the UI and the offline demo backend
+ *
+ * Admins can change anything. Team owners manage the teams in their
+ * team_ids and the players in them. Viewers can read and export only.
+ */
+
+export const ROLES = {
+  ADMIN: 'admin',
+  OWNER: 'owner',
+  VIEWER: 'viewer',
+};
+
+/**
+ * Work out a user's role
+ * Users without a known role are read-only.
+ * @param {Object} user - Signed-in user
+ * @returns {string|null} One of ROLES, or null when signed out
+ */
+export const getRole = (user) => {
+  if (!user) return null;
+  return Object.values(ROLES).includes(user.role) ? user.role : ROLES.VIEWER;
+};
+
+/**
+ * Check whether a user owns a team
+ * @param {Object} user - Signed-in user
+ * @param {number|string} teamId - Team to check
+ * @returns {boolean}
+ */
+export const ownsTeam = (user, teamId) =>
+  teamId !== null && teamId !== undefined &&
+  (user?.team_ids || []).some((id) => String(id) === String(teamId));
+
+const isAdmin = (user) => getRole(user) === ROLES.ADMIN;
+
+const isOwnerOf = (user, teamId) => getRole(user) === ROLES.OWNER && ownsTeam(user, teamId);
+
+const managesTeam = (user, teamId) => isAdmin(user) || isOwnerOf(user, teamId);
+
+// Rules receive the user followed by whatever the permission is about
+const RULES = {
+  'team:create': isAdmin,
+  'team:update': (user, team) => managesTeam(user, team?.id),
+  'team:delete': isAdmin,
+  // Owners can only add players straight into their own teams
+  'player:create': (user, player) => managesTeam(user, player?.team_id),
+  // Owners may move their players to another of their teams or release them to the global pool
+  'player:update': (user, player, changes = {}) =>
+    managesTeam(user, player?.team_id) &&
+    (changes.team_id === undefined || changes.team_id === null ||
+      String(changes.team_id) === String(player.team_id) || managesTeam(user, changes.team_id)),
+  'player:delete': (user, player) => managesTeam(user, player?.team_id),
+  // Owners can pick players from the global pool into their own teams
+  'player:assign': (user, player, teamId) =>
+    isAdmin(user) || (player?.team_id === null && isOwnerOf(user, teamId)),
+  'player:unassign': (user, player) => managesTeam(user, player?.team_id),
+  'player:import': isAdmin,
+  // Phone numbers and emergency contacts; global players' only for admins
+  'player:contact': (user, player) => managesTeam(user, player?.team_id),
+  // A player's team moves and jersey changes, from the activity log
+  'player:history': (user, player) => managesTeam(user, player?.team_id),
+  'activity:view': isAdmin,
+  'trash:manage': isAdmin,
+  'settings:backend': isAdmin,
+  'settings:idle': isAdmin,
+  'users:manage': isAdmin,
+  'roles:migrate': isAdmin,
+  'players:merge': isAdmin,
+  export: (user) => getRole(user) !== null,
+};
+
+/**
+ * Check whether a user may do something
+ * @param {Object} user - Signed-in user
+ * @param {string} permission - Key of RULES, e.g. 'player:update'
+ * @param {...*} args - What it is about, e.g. the player and the changes
+ * @returns {boolean}
+ *
+ * @example
+ * can(user, 'player:assign', player, teamId)
+ */
+export const can = (user, permission, ...args) => {
+  const rule = RULES[permission];
+  return Boolean(user && rule && rule(user, ...args));
+};
+
+/**
+ * Check whether a user can't change anything at all
+ * @param {Object} user - Signed-in user
+ * @returns {boolean} True for viewers and owners without a team
+ */
+export const isReadOnly = (user) =>
+  !isAdmin(user) && !(getRole(user) === ROLES.OWNER && (user.team_ids || []).length > 0);
+
+/**
+ * Teams a user can add players to or move players into
+ * @param {Object} user - Signed-in user
+ * @param {Array} teams - All teams
+ * @returns {Array}
+ */
+export const getManagedTeams = (user, teams) => teams.filter((team) => managesTeam(user, team.id));
@@ -0,0 +1,87 @@
+/**
+ * Player History
+ * Turns a player's audit log entries into the team moves and jersey
+ * changes shown on the player page
+ *
+ * Seasons follow the calendar year of each change.
+ */
+
+const hasTeam = (player) => player?.team_id !== null && player?.team_id !== undefined;
+
+const teamName = (player) => player?.team_name || (hasTeam(player) ? `Team #${player.team_id}` : null);
+
+/**
+ * Describe a move between teams or the global pool
+ * @returns {Object|null} { type, from, to }, or null when the team didn't change
+ */
+const teamChange = (before, after) => {
+  if (String(before?.team_id ?? '') === String(after?.team_id ?? '')) return null;
+  if (!hasTeam(before)) return { type: 'assigned', from: null, to: teamName(after) };
+  if (!hasTeam(after)) return { type: 'unassigned', from: teamName(before), to: null };
+  return { type: 'moved', from: teamName(before), to: teamName(after) };
+};
+
+const jerseyOf = (player) => player?.jersey_number ?? null;
+
+/**
+ * The history events recorded by one audit entry
+ */
+const toEvents = (entry) => {
+  const { before, after } = entry;
+  const base = { at: entry.at, actor: entry.actor };
+  const events = [];
+
+  switch (entry.action) {
+    case 'create':
+      events.push({ type: 'registered', to: teamName(after), jersey: jerseyOf(after) });
+      break;
+    case 'assign':
+    case 'unassign':
+    case 'update': {
+      const move = teamChange(before, after);
+      if (move) events.push(move);
+      if (jerseyOf(before) !== jerseyOf(after)) {
+        events.push({ type: 'jersey', from: jerseyOf(before), to: jerseyOf(after) });
+      }
+      break;
+    }
+    case 'delete':
+      events.push({ type: 'deleted', from: teamName(before) });
+      break;
+    case 'restore':
+      events.push({ type: 'restored', to: teamName(after), jersey: jerseyOf(after) });
+      break;
+    default:
+      break;
+  }
+
+  return events.map((event, index) => ({ ...base, ...event, id: `${entry.id}:${index}` }));
+};
+
+/**
+ * Build a player's team and jersey history
+ * Edits that only touched other fields (name, profile...) are left out.
+ * @param {Array} entries - The player's audit entries, newest first
+ * @returns {Array} Events { id, type, at, actor, from, to, jersey }, newest first,
+ *   where type is registered, assigned, unassigned, moved, jersey, deleted or restored
+ */
+export const buildPlayerHistory = (entries) => entries.flatMap(toEvents);
+
+/**
+ * Group history events by season
+ * @param {Array} events - From buildPlayerHistory
+ * @returns {Array} [{ season, events }], newest season first
+ */
+export const groupBySeason = (events) => {
+  const seasons = [];
+  events.forEach((event) => {
+    const season = event.at ? new Date(event.at).getFullYear() : null;
+    const last = seasons[seasons.length - 1];
+    if (last && last.season === season) {
+      last.events.push(event);
+    } else {
+      seasons.push({ season, events: [event] });
+    }
+  });
+  return seasons;
+};
@@ -0,0 +1,111 @@
+/**
+ * Player Profile
+ * Registration details kept for each player beyond name, team and jersey,
+ * shared by the player form, the detail drawer, exports and the offline
+ * demo backend
+ *
+ * Phone numbers and the emergency contact are private: they are never
+ * shown on the public pages, and only to the people who manage the
+ * player's team.
+ */
+
+export const BATTING_HANDS = {
+  right: 'Right-hand bat',
+  left: 'Left-hand bat',
+};
+
+export const BOWLING_STYLES = [
+  'Right-arm fast',
+  'Right-arm medium',
+  'Right-arm off-spin',
+  'Right-arm leg-spin',
+  'Left-arm fast',
+  'Left-arm medium',
+  'Left-arm orthodox',
+  'Left-arm wrist-spin',
+  'Does not bowl',
+];
+
+// Fields sent and stored alongside the basic player fields
+export const PROFILE_FIELDS = [
+  'photo_url',
+  'date_of_birth',
+  'batting_hand',
+  'bowling_style',
+  'locality',
+  'phone',
+  'emergency_contact_name',
+  'emergency_contact_phone',
+];
+
+// Left out of API responses for users who don't manage the player's team
+export const CONTACT_FIELDS = ['phone', 'emergency_contact_name', 'emergency_contact_phone'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PHONE_PATTERN = /^\+?[\d\s-]{7,20}$/;
+
+/**
+ * Check the profile fields of a new or changed player
+ * @param {Object} data - Player fields; missing ones are not checked
+ * @returns {string|null} What is wrong, or null when it is fine
+ */
+export const validatePlayerProfile = (data) => {
+  if (data.date_of_birth) {
+    const date = new Date(data.date_of_birth);
+    if (!DATE_PATTERN.test(data.date_of_birth) || Number.isNaN(date.getTime())) {
+      return 'Date of birth must be a date';
+    }
+    if (date > new Date()) return 'Date of birth cannot be in the future';
+  }
+  if (data.batting_hand && !BATTING_HANDS[data.batting_hand]) {
+    return 'Batting hand must be right or left';
+  }
+  if (data.bowling_style && !BOWLING_STYLES.includes(data.bowling_style)) {
+    return `Unknown bowling style: ${data.bowling_style}`;
+  }
+  if (data.phone && !PHONE_PATTERN.test(data.phone)) {
+    return 'Phone number is not valid';
+  }
+  if (data.emergency_contact_phone && !PHONE_PATTERN.test(data.emergency_contact_phone)) {
+    return 'Emergency contact phone number is not valid';
+  }
+  if (data.photo_url && !/^(data:image\/|https?:\/\/)/.test(data.photo_url)) {
+    return 'Photo must be an image';
+  }
+  return null;
+};
+
+/**
+ * Work out a player's age today
+ * @param {string|null} dateOfBirth - 'YYYY-MM-DD'
+ * @returns {number|null}
+ */
+export const getAge = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  if (Number.isNaN(birth.getTime())) return null;
+
+  const today = new Date();
+  let age = today.getFullYear() - birth.getFullYear();
+  const birthdayPassed =
+    today.getMonth() > birth.getMonth() ||
+    (today.getMonth() === birth.getMonth() && today.getDate() >= birth.getDate());
+  if (!birthdayPassed) age -= 1;
+  return age;
+};
+
+/**
+ * Short batting and bowling summary, e.g. "Left-hand bat · Right-arm medium"
+ * @param {Object} player
+ * @returns {string} Empty when neither is known
+ */
+export const describePlayingStyle = (player) =>
+  [BATTING_HANDS[player.batting_hand], player.bowling_style].filter(Boolean).join(' · ');
+
+/**
+ * Initials shown when a player has no photo
+ * @param {string} name
+ * @returns {string}
+ */
+export const getInitials = (name = '') =>
+  name.trim().split(/\s+/).slice(0, 2).map((part) => part.charAt(0).toUpperCase()).join('');
@@ -0,0 +1,115 @@
+/**
+ * Player Roles
+ * The catalogue of cricket roles a player can have, shared by the player
+ * form, bulk import, roster grouping, exports and the offline demo backend
+ *
+ * Each role has a name, which is what gets stored, and aliases that are
+ * read as that role ("wk", "keeper", "batter"...). Matching ignores case,
+ * extra spaces and hyphens. Set VITE_PLAYER_ROLES to a JSON array of
+ * names or { name, aliases } objects to use a different catalogue.
+ */
+
+export const DEFAULT_PLAYER_ROLES = [
+  { name: 'Batsman', aliases: ['batter', 'batsmen', 'bat', 'opener', 'opening batsman', 'top order', 'middle order'] },
+  { name: 'Bowler', aliases: ['bowl', 'fast bowler', 'pace bowler', 'pacer', 'seamer', 'spinner', 'spin bowler'] },
+  { name: 'All Rounder', aliases: ['allrounder', 'ar'] },
+  { name: 'Batting All Rounder', aliases: ['batting allrounder', 'batting ar'] },
+  { name: 'Bowling All Rounder', aliases: ['bowling allrounder', 'bowling ar'] },
+  { name: 'Wicket Keeper', aliases: ['wicketkeeper', 'keeper', 'wk', 'wicket keeper batsman', 'wk batsman', 'keeper batsman'] },
+];
+
+// Group heading for players without a role
+export const UNASSIGNED_ROLE = 'Unassigned';
+
+/**
+ * Read the role catalogue from a VITE_PLAYER_ROLES value
+ * @param {string} value - JSON array of names or { name, aliases }
+ * @returns {Array} Roles, or the default catalogue when unset or invalid
+ */
+const parseRoles = (value) => {
+  if (!value) return DEFAULT_PLAYER_ROLES;
+  try {
+    const parsed = JSON.parse(value);
+    const roles = (Array.isArray(parsed) ? parsed : [])
+      .map((role) => (typeof role === 'string' ? { name: role } : role))
+      .filter((role) => typeof role?.name === 'string' && role.name.trim())
+      .map((role) => ({
+        name: role.name.trim(),
+        aliases: Array.isArray(role.aliases) ? role.aliases.filter((alias) => typeof alias === 'string') : [],
+      }));
+    return roles.length > 0 ? roles : DEFAULT_PLAYER_ROLES;
+  } catch (err) {
+    console.error('Invalid VITE_PLAYER_ROLES value:', err);
+    return DEFAULT_PLAYER_ROLES;
+  }
+};
+
+export const PLAYER_ROLES = parseRoles(import.meta.env.VITE_PLAYER_ROLES);
+
+export const ROLE_NAMES = PLAYER_ROLES.map((role) => role.name);
+
+/**
+ * Reduce a role as typed to the form used for matching
+ * e.g. " Wicket-Keeper " -> "wicket keeper"
+ */
+const toKey = (text) =>
+  String(text ?? '')
+    .toLowerCase()
+    .replace(/[-_.,/]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Every name and alias, longest first so "batting all rounder" wins over "all rounder"
+const MATCHERS = PLAYER_ROLES.flatMap((role) =>
+  [role.name, ...role.aliases].map((alias) => ({ key: toKey(alias), name: role.name }))
+)
+  .filter(({ key }) => key)
+  .sort((a, b) => b.key.length - a.key.length);
+
+const ROLE_BY_KEY = new Map([...MATCHERS].reverse().map(({ key, name }) => [key, name]));
+
+/**
+ * Find the catalogue role for a position as typed
+ * @param {string|null} position - Free-text position, e.g. "batsman " or "WK"
+ * @returns {string|null} The role's name, or null when it isn't in the catalogue
+ */
+export const resolveRole = (position) => ROLE_BY_KEY.get(toKey(position)) || null;
+
+/**
+ * Check whether a position is stored exactly as a catalogue role name
+ */
+export const isCatalogueRole = (position) => ROLE_NAMES.includes(position);
+
+/**
+ * The heading a position is shown and grouped under
+ * @param {string|null} position - Stored position
+ * @returns {string} Catalogue name, the trimmed text for unknown roles,
+ *   or UNASSIGNED_ROLE when there is none
+ */
+export const getRoleLabel = (position) =>
+  resolveRole(position) || String(position ?? '').trim() || UNASSIGNED_ROLE;
+
+/**
+ * Split a role written at the end of a line off the rest of it
+ * e.g. "Manju Harathalu wk" -> { text: 'Manju Harathalu', role: 'Wicket Keeper' }
+ * @param {string} line - One line of text
+ * @returns {Object} { text, role }, with role null when the line doesn't end in one
+ */
+export const matchTrailingRole = (line) => {
+  const words = line.trim().split(/\s+/);
+  const key = toKey(line);
+
+  for (const matcher of MATCHERS) {
+    if (key !== matcher.key && !key.endsWith(` ${matcher.key}`)) continue;
+    // Drop as many words as the alias covers, and keep at least one for the name
+    let remaining = words.length;
+    while (remaining > 0 && toKey(words.slice(remaining - 1).join(' ')).length < matcher.key.length) {
+      remaining -= 1;
+    }
+    remaining -= 1;
+    if (remaining < 1) continue;
+    return { text: words.slice(0, remaining).join(' '), role: matcher.name };
+  }
+
+  return { text: line.trim(), role: null };
+};
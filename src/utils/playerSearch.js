@@ -0,0 +1,78 @@
+/**
+ * Player Search Utilities
+ * Filtering, sorting and paging rules for player lists
+ *
+ * Used by the offline demo backend and as a fallback when the server
+ * returns the whole list instead of a page.
+ */
+
+// Sort values accepted by the players endpoint; '-' prefix means descending
+export const PLAYER_SORT_FIELDS = ['player_name', 'team_name', 'jersey_number', 'created_at'];
+
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+export const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Check a sort value, e.g. one read from a shared link
+ * @param {string} sort - Field name, optionally prefixed with '-'
+ * @returns {boolean}
+ */
+export const isValidPlayerSort = (sort) =>
+  PLAYER_SORT_FIELDS.includes(sort.startsWith('-') ? sort.slice(1) : sort);
+
+/**
+ * Keep players whose name, team or position contains the query
+ * @param {Array} players - Players to filter
+ * @param {string} query - Search text
+ * @returns {Array} Matching players
+ */
+export const filterPlayers = (players, query) => {
+  const q = (query || '').trim().toLowerCase();
+  if (!q) return players;
+
+  return players.filter((player) =>
+    player.player_name?.toLowerCase().includes(q) ||
+    player.team_name?.toLowerCase().includes(q) ||
+    player.position?.toLowerCase().includes(q)
+  );
+};
+
+/**
+ * Sort players by a field
+ * @param {Array} players - Players to sort
+ * @param {string} sort - Field name, prefixed with '-' for descending
+ * @returns {Array} Sorted copy (or the same list when there is no sort)
+ */
+export const sortPlayers = (players, sort) => {
+  if (!sort) return players;
+
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  if (!PLAYER_SORT_FIELDS.includes(field)) return players;
+
+  const direction = descending ? -1 : 1;
+  return [...players].sort((a, b) => {
+    const left = a[field];
+    const right = b[field];
+    const leftEmpty = left === null || left === undefined || left === '';
+    const rightEmpty = right === null || right === undefined || right === '';
+    // Empty values always go last, in their original order
+    if (leftEmpty || rightEmpty) return Number(leftEmpty) - Number(rightEmpty);
+    if (typeof left === 'number' && typeof right === 'number') {
+      return (left - right) * direction;
+    }
+    return String(left).localeCompare(String(right), undefined, { numeric: true }) * direction;
+  });
+};
+
+/**
+ * Take one page of a list
+ * @param {Array} items - Full list
+ * @param {number} page - 1-based page number
+ * @param {number} pageSize - Items per page
+ * @returns {Array} Items on the page
+ */
+export const paginate = (items, page, pageSize) => {
+  const start = (page - 1) * pageSize;
+  return items.slice(start, start + pageSize);
+};
@@ -0,0 +1,36 @@
+/**
+ * Roster Utilities
+ * Helpers for showing a team's players
+ */
+
+import { ROLE_NAMES, UNASSIGNED_ROLE, getRoleLabel } from './playerRoles';
+
+/**
+ * Group players by role
+ * Spellings of the same role ("batsman", "Batsman ", "batter") share one
+ * group. Catalogue roles come first in catalogue order, then positions the
+ * catalogue doesn't know in the order they first appear, then players
+ * without a role.
+ * @param {Array} players - Players to group
+ * @returns {Object} { [role]: players }, with 'Unassigned' for players without one
+ */
+export const groupPlayersByPosition = (players) => {
+  const groups = players.reduce((acc, player) => {
+    const role = getRoleLabel(player.position);
+    if (!acc[role]) {
+      acc[role] = [];
+    }
+    acc[role].push(player);
+    return acc;
+  }, {});
+
+  const rank = (role) => {
+    if (role === UNASSIGNED_ROLE) return ROLE_NAMES.length + 1;
+    const index = ROLE_NAMES.indexOf(role);
+    return index === -1 ? ROLE_NAMES.length : index;
+  };
+  // sort is stable, so unknown positions keep their order
+  return Object.fromEntries(
+    Object.entries(groups).sort(([a], [b]) => rank(a) - rank(b))
+  );
+};